@@ -2,28 +2,50 @@ const express = require('express');
 const http = require('http');
 const { Server } = require('socket.io');
 const mysql = require('mysql2/promise');
-const { SerialPort } = require('serialport');
-const { ReadlineParser } = require('@serialport/parser-readline');
-const { format } = require('date-fns'); // Standard date-fns functions are okay
+const { format, parseISO, differenceInCalendarDays } = require('date-fns'); // Standard date-fns functions are okay
 const multer = require('multer');
 const ExcelJS = require('exceljs');
 const path = require('path');
 const cron = require('node-cron');
 const fs = require('fs');
+const crypto = require('crypto');
 const session = require('express-session');
-// const bcrypt = require('bcrypt'); // Removed bcrypt
+const { createScanSourceManager } = require('./services/scan-sources');
+const { ensureSchema } = require('./services/schema');
+const { getScheduleForDate, getLibraryStatus, clearScheduleCache, WEEKDAY_NAMES, AUTO_LOGOUT_GRACE_MINUTES } = require('./services/library-calendar');
+const { recordAudit, searchAudit, getAuditFacets } = require('./services/audit');
+const { ROLES, MAX_FAILED_LOGINS, LOCKOUT_MINUTES, MIN_PASSWORD_LENGTH, hashPassword, verifyPassword, can } = require('./services/auth');
+const { logoutTypeLabel, getVisitRows, getVisitCounts, getAnalytics, buildAnalyticsWorkbook } = require('./services/analytics');
+const { getSemesterRange, getUserHistory, toKioskSummary, buildHistoryWorkbook, writeHistoryPdf } = require('./services/user-history');
+const { createOccupancyTracker, loadCapacitySettings, saveCapacitySettings } = require('./services/occupancy');
+const { API_SCOPES, createApiToken, listApiTokens, revokeApiToken } = require('./services/api-tokens');
+const { SCAN_STATUSES, listWebhooks, createWebhook, createWebhookDispatcher } = require('./services/webhooks');
+const { createApiRouter } = require('./services/api-v1');
+const { CARD_TYPES, RELEASE_REASONS, CardError, getCurrentCard, assignCard, releaseCard, unblockCard, getCardHistory } = require('./services/rfid-cards');
+const { PROMOTION_INTERVAL_DAYS, PromotionError, searchUsers, getPromotionPlan, applyPromotion } = require('./services/users');
+const { createScanJournal } = require('./services/scan-journal');
+const { IMPORT_SPECS, IMPORT_MODES, readUpload, buildPreview, savePreview, loadPreview, discardPreview, cleanupStalePreviews, commitPreview, buildErrorWorkbook } = require('./services/bulk-import');
+const { createScanHandler } = require('./services/scan-handler');
+const { createRateLimiter } = require('./services/rate-limit');
+const { createSessionAuth } = require('./services/session-auth');
+const { inTransaction } = require('./services/db');
 
 const app = express();
 const server = http.createServer(app);
 const io = new Server(server);
 
-const scannedRecently = new Set();
 const SCAN_TIMEOUT_MS = 5000;
+// Scans taken while MySQL is down wait here (see services/scan-journal.js)
+const SCAN_JOURNAL_DIR = path.join(__dirname, 'scan-journal');
 
 const PORT = 3000;
 const ARDUINO_PORT = '/dev/ttyACM0+'; //ubuntu
 // const ARDUINO_PORT = 'COM14'; //windows
 
+// Readers come from readers.json when present (see readers.example.json), otherwise the single Arduino above
+const READERS_FILE = path.join(__dirname, 'readers.json');
+const DEFAULT_READERS = [{ id: 'main-gate', location: 'Main Entrance', type: 'serial', path: ARDUINO_PORT, baudRate: 9600, linePrefix: 'RFID Tag UID:' }];
+
 const dbPool = mysql.createPool({
     host: 'localhost', user: 'root', password: '', database: 'library_system',
     waitForConnections: true, connectionLimit: 10, queueLimit: 0,
@@ -50,49 +72,91 @@ app.use(session({
 app.use((req, res, next) => {
     res.locals.loggedIn = req.session.user ? true : false;
     res.locals.user = req.session.user;
+    res.locals.can = (permission) => req.session.user ? can(req.session.user.role, permission) : false;
     // Add log to check session on every request
     // console.log(`[${new Date().toLocaleTimeString()}] Request for ${req.path}, Session User:`, req.session.user);
     next();
 });
 
 // --- Authentication Middleware ---
-const isAuthenticated = (req, res, next) => {
-    console.log(`[Auth Check] Path: ${req.path}, Session User:`, req.session.user); // Log session check
-    if (req.session.user) {
-        next(); // User is logged in, proceed
-    } else {
-        console.log('[Auth Check] Redirecting to login.'); // Log redirect reason
-        res.redirect('/login?error=Please login to access this page.'); // Not logged in, redirect
-    }
-};
+const { isAuthenticated, requirePermission, forgetAccount } = createSessionAuth(dbPool);
 
 const upload = multer({ dest: 'uploads/' });
 
-// --- Core Logic Functions (handleCardScan, getTodayBranchCounts) ---
-async function handleCardScan(uid) {
-    const now = new Date(); const currentDate = format(now, 'yyyy-MM-dd'); const currentTime = format(now, 'HH:mm:ss'); let eventData = { uid: uid };
-    try {
-        const [rfidRows] = await dbPool.query("SELECT user_id FROM rfid_details WHERE uid = ?", [uid]); if (rfidRows.length === 0) { eventData.status = 'UNREGISTERED'; return io.emit('scan_event', eventData); }
-        const user_id = rfidRows[0].user_id;
-        const [userRows] = await dbPool.query(`SELECT u.*, p.degree, p.branch_name, p.branch_code, d.department_name FROM users u LEFT JOIN programs p ON u.program_id = p.program_id LEFT JOIN departments d ON u.department_id = d.department_id WHERE u.user_id = ?`, [user_id]);
-        if (userRows.length === 0) { eventData.status = 'NO_DETAILS'; return io.emit('scan_event', eventData); }
-        eventData.details = userRows[0];
-        const [openLogins] = await dbPool.query("SELECT log_id FROM attendance_log WHERE user_id = ? AND log_date = ? AND logout_time IS NULL LIMIT 1", [user_id, currentDate]);
-        if (openLogins.length > 0) { await dbPool.query("UPDATE attendance_log SET logout_time = ? WHERE log_id = ?", [currentTime, openLogins[0].log_id]); eventData.status = 'LOGOUT'; eventData.time = currentTime; io.emit('scan_event', eventData); }
-        else { await dbPool.query("INSERT INTO attendance_log (user_id, log_date, login_time) VALUES (?, ?, ?)", [user_id, currentDate, currentTime]); eventData.status = 'LOGIN'; eventData.time = currentTime; io.emit('scan_event', eventData); const counts = await getTodayBranchCounts(); io.emit('counts_update', counts); }
-    } catch (error) { console.error("DB/Logic Error:", error); eventData.status = 'ERROR'; io.emit('scan_event', eventData); }
-}
+// --- Core Logic Functions (scan events, getTodayBranchCounts) ---
+// Every scan outcome goes to the dashboards and to the configured webhooks
+const webhooks = createWebhookDispatcher(dbPool);
+function emitScanEvent(eventData) { io.emit('scan_event', eventData); webhooks.dispatch('scan_event', eventData); return eventData; }
+// Not awaited by the scan handler: the visit is already written, so a failure here must not be taken for a failed scan
+function emitBranchCounts() { getTodayBranchCounts().then(counts => io.emit('counts_update', counts)).catch(error => console.error('Branch counts error:', error)); }
 async function getTodayBranchCounts() {
     const today = format(new Date(), 'yyyy-MM-dd'); const [flatCounts] = await dbPool.query(`SELECT p.degree, p.branch_code, COUNT(al.log_id) as visit_count FROM attendance_log al JOIN users u ON al.user_id = u.user_id JOIN programs p ON u.program_id = p.program_id WHERE al.log_date = ? AND u.user_type = 'student' GROUP BY p.degree, p.branch_code ORDER BY p.degree, p.branch_code`, [today]);
     const groupedCounts = {}; for (const row of flatCounts) { if (!groupedCounts[row.degree]) { groupedCounts[row.degree] = []; } groupedCounts[row.degree].push({ branch_code: row.branch_code, visit_count: row.visit_count }); } return groupedCounts;
 }
 
-// --- Serial Port Connection ---
-try {
-    const port = new SerialPort({ path: ARDUINO_PORT, baudRate: 9600 }); const parser = port.pipe(new ReadlineParser({ delimiter: '\r\n' })); console.log(`Connecting to Arduino on ${ARDUINO_PORT}...`);
-    parser.on('data', (line) => { if (line.startsWith("RFID Tag UID:")) { const uid = line.split(":")[1].trim(); if (scannedRecently.has(uid)) { io.emit('scan_event', { uid: uid, status: 'IGNORED', message: `Duplicate scan. Wait ${SCAN_TIMEOUT_MS / 1000}s.` }); return; } handleCardScan(uid); scannedRecently.add(uid); setTimeout(() => { scannedRecently.delete(uid); }, SCAN_TIMEOUT_MS); } });
-    port.on('open', () => console.log(`Serial port ${ARDUINO_PORT} opened.`)); port.on('error', (err) => console.error('SerialPort Error: ', err.message));
-} catch (err) { console.error(`Could not connect to Arduino on port ${ARDUINO_PORT}. Error: ${err.message}`); }
+// Self-service lookup for the kiosk page: a semester summary for the card's owner, masked when the ID was typed
+async function getKioskSummary(userId, masked = false) {
+    const semester = getSemesterRange(new Date()); const history = await getUserHistory(dbPool, userId, semester);
+    return history ? toKioskSummary(history, semester.label, masked) : null;
+}
+// A kiosk page hears its reader's taps only after joining with a ticket from GET /kiosk, which is issued only for a
+// kiosk-mode reader and only to a page opened with that reader's kioskKey from readers.json. The ticket is derived
+// from the key, so the key itself never reaches the page and a page left open across a restart stays paired.
+const kioskTicket = (reader) => crypto.createHmac('sha256', reader.config.kioskKey).update(`kiosk:${reader.id}`).digest('hex');
+const sameSecret = (a, b) => typeof a === 'string' && typeof b === 'string' && crypto.timingSafeEqual(crypto.createHash('sha256').update(a).digest(), crypto.createHash('sha256').update(b).digest());
+function findKioskReader(readerId) {
+    const reader = typeof readerId === 'string' ? scanSources.getReader(readerId) : null;
+    return reader && reader.mode === 'kiosk' && typeof reader.config.kioskKey === 'string' && reader.config.kioskKey ? reader : null;
+}
+async function handleKioskTap(uid, reader) {
+    const room = `kiosk:${reader.id}`;
+    try {
+        const [rfidRows] = await dbPool.query("SELECT user_id FROM rfid_details WHERE uid = ?", [uid]);
+        const summary = rfidRows.length > 0 ? await getKioskSummary(rfidRows[0].user_id) : null;
+        io.to(room).emit('kiosk_lookup', summary ? { summary } : { error: 'Card not recognized. Please contact the library desk.' });
+    } catch (error) { console.error("Kiosk Lookup Error:", error); io.to(room).emit('kiosk_lookup', { error: 'Lookup failed. Please try again.' }); }
+}
+
+// <input type="time"> sends HH:mm unless seconds are enabled; the DB compares against HH:mm:ss
+function normalizeTime(value) { return value && value.length === 5 ? `${value}:00` : value; }
+
+// --- Scan Sources (serial readers + virtual reader) ---
+function loadReaderConfigs() {
+    if (!fs.existsSync(READERS_FILE)) return DEFAULT_READERS;
+    try { return JSON.parse(fs.readFileSync(READERS_FILE, 'utf8')); }
+    catch (err) { console.error(`Could not read ${READERS_FILE}, using default reader. Error: ${err.message}`); return DEFAULT_READERS; }
+}
+const readerConfigs = loadReaderConfigs();
+readerConfigs.filter(c => c.mode === 'kiosk' && !(typeof c.kioskKey === 'string' && c.kioskKey)).forEach(c => console.warn(`[Readers] Kiosk reader ${c.id} has no kioskKey; no kiosk page can show its taps until one is set.`));
+const scanSources = createScanSourceManager(readerConfigs);
+scanSources.on('scan', (uid, reader) => {
+    if (reader.mode === 'kiosk') return handleKioskTap(uid, reader); // lookups only, never attendance, so no debounce either
+    scans.handleScan(uid, reader);
+});
+scanSources.on('status', (statuses) => io.emit('reader_status', statuses));
+
+// --- Scan Journal ---
+const scanJournal = createScanJournal(dbPool, { dir: SCAN_JOURNAL_DIR, debounceMs: SCAN_TIMEOUT_MS, prepare: prepareDatabase, replay: (entry, connection) => scans.handleCardScan(entry.uid, entry.reader, new Date(entry.scanned_at), connection) });
+scanJournal.on('status', (status) => io.emit('journal_status', status));
+scanJournal.on('replayed', emitScanEvent); // committed replays reach the dashboards and webhooks like live scans
+// Replayed visits may belong to days or hours the automatic logout has already passed over
+scanJournal.on('drained', () => { autoLogoutDoneFor = null; cleanupPreviousDays().then(autoLogoutCurrentDay).then(reloadOccupancy).then(emitBranchCounts); });
+
+// --- Live Occupancy ---
+const occupancy = createOccupancyTracker(dbPool);
+occupancy.on('update', (snapshot) => io.emit('occupancy_update', snapshot));
+occupancy.on('alert', (alert) => { console.log(`[Occupancy] ${alert.message}`); io.emit('occupancy_alert', alert); });
+function reloadOccupancy() { return occupancy.reload().catch((error) => console.error('Occupancy reload error:', error)); }
+const scans = createScanHandler(dbPool, { journal: scanJournal, occupancy: occupancy, emitScanEvent: emitScanEvent, onLogin: emitBranchCounts, debounceMs: SCAN_TIMEOUT_MS });
+io.on('connection', (socket) => {
+    socket.emit('reader_status', scanSources.getStatuses());
+    socket.emit('occupancy_update', occupancy.getSnapshot());
+    socket.emit('journal_status', scanJournal.getStatus());
+    socket.on('kiosk_join', (payload) => { // kiosk pages only hear their own reader
+        const { readerId, ticket } = payload || {}; const reader = findKioskReader(readerId);
+        if (reader && sameSecret(ticket, kioskTicket(reader))) socket.join(`kiosk:${reader.id}`); else socket.emit('kiosk_rejected');
+    });
+});
 
 // --- Web Routes ---
 
@@ -115,24 +179,38 @@ app.get('/dashboard', async (req, res) => {
     }
 });
 
-app.get('/register', (req, res) => {
-    res.render('register', { messages: req.query });
+// Self-service kiosk: tap a card on a kiosk-mode reader (?reader=<id>&key=<kioskKey>) or type an ID
+app.get('/kiosk', (req, res) => {
+    const reader = findKioskReader(req.query.reader); const paired = Boolean(reader && sameSecret(req.query.key, reader.config.kioskKey));
+    if (req.query.reader && !paired) console.log(`[Kiosk] Not pairing with reader '${req.query.reader}': not a kiosk reader, or the key is missing or wrong.`);
+    res.render('kiosk', kioskPage(paired ? reader : null, null, null));
 });
-
-app.post('/add', async (req, res) => { // Consider adding isAuthenticated if only admins can register
-    const { user_id, uid } = req.body;
-    if (!user_id || !uid) return res.redirect('/register?error=All fields are required.');
-    try { await dbPool.query('INSERT INTO rfid_details (user_id, uid) VALUES (?, ?)', [user_id, uid]); res.redirect('/register?success=Registration successful!'); }
-    catch (err) { if (err.code === 'ER_DUP_ENTRY') return res.redirect('/register?error=Duplicate User ID or UID.'); if (err.code === 'ER_NO_REFERENCED_ROW_2') return res.redirect(`/register?error=User ID ${user_id} does not exist.`); res.redirect('/register?error=Database error.'); }
+// The reader and its ticket travel with the typed lookup so the page stays paired after it
+function kioskPage(reader, summary, error) { return { readerId: reader ? reader.id : '', ticket: reader ? kioskTicket(reader) : null, summary, error }; }
+// Typed lookups need no card, so they are limited per client and only ever see the masked summary
+const kioskLookups = createRateLimiter({ limit: 20, windowMs: 10 * 60 * 1000 });
+app.post('/kiosk/lookup', async (req, res) => {
+    const userId = (req.body.user_id || '').trim();
+    const found = findKioskReader(req.body.reader); const reader = found && sameSecret(req.body.ticket, kioskTicket(found)) ? found : null;
+    if (!userId) return res.render('kiosk', kioskPage(reader, null, 'Please enter your ID.'));
+    const waitMs = kioskLookups.take(req.ip);
+    if (waitMs > 0) return res.status(429).render('kiosk', kioskPage(reader, null, `Too many lookups. Please tap your card, or try again in ${Math.ceil(waitMs / 60000)} minute(s).`));
+    try { const summary = await getKioskSummary(userId, true); res.render('kiosk', kioskPage(reader, summary, summary ? null : `No record found for '${userId}'.`)); }
+    catch (error) { console.error("Kiosk Lookup Error:", error); res.render('kiosk', kioskPage(reader, null, 'Lookup failed. Please try again.')); }
 });
 
+// JSON API for other campus systems; token-authenticated, see services/api-v1.js
+app.use('/api/v1', createApiRouter({ dbPool, occupancy }));
+
 // --- Login/Logout ---
 app.get('/login', (req, res) => {
     if (req.session.user) return res.redirect('/home');
     res.render('login', { messages: req.query });
 });
 
-// MODIFIED: Added logging and alternative session saving
+// The only failure a visitor ever sees, whatever went wrong (see below)
+const LOGIN_FAILED_MESSAGE = `Invalid username or password. After ${MAX_FAILED_LOGINS} failed attempts sign-in is paused for ${LOCKOUT_MINUTES} minutes.`;
+
 app.post('/login', async (req, res) => {
     const { username, password } = req.body;
     console.log(`[Login Attempt] User: ${username}`); // Log attempt
@@ -140,20 +218,43 @@ app.post('/login', async (req, res) => {
         return res.redirect('/login?error=Username and password are required.');
     }
     try {
-        const [rows] = await dbPool.query('SELECT username, password, role, user_id FROM credentials WHERE username = ?', [username]);
-        if (rows.length === 0) {
+        const [rows] = await dbPool.query('SELECT username, password, role, user_id, is_active, must_change_password, (locked_until IS NOT NULL AND locked_until > NOW()) AS is_locked FROM credentials WHERE username = ?', [username]);
+        // One answer for unknown users, wrong passwords and locked accounts, so the form cannot be used to find out
+        // which usernames exist. The password is checked in every case so all three take about as long.
+        const user = rows[0];
+        const { ok, needsUpgrade } = await verifyPassword(password, user ? user.password : null);
+        if (!user) {
             console.log(`[Login Failed] User not found: ${username}`);
-            return res.redirect('/login?error=Invalid username or password.');
+            return res.redirect(`/login?error=${LOGIN_FAILED_MESSAGE}`);
+        }
+        if (user.is_locked) {
+            console.log(`[Login Failed] Account locked: ${username}`);
+            return res.redirect(`/login?error=${LOGIN_FAILED_MESSAGE}`);
+        }
+        if (!ok) {
+            // Lock once the limit is reached and start counting again after the lock
+            await dbPool.query('UPDATE credentials SET locked_until = IF(failed_attempts + 1 >= ?, NOW() + INTERVAL ? MINUTE, locked_until), failed_attempts = IF(failed_attempts + 1 >= ?, 0, failed_attempts + 1) WHERE username = ?', [MAX_FAILED_LOGINS, LOCKOUT_MINUTES, MAX_FAILED_LOGINS, username]);
+            console.log(`[Login Failed] Invalid password for user: ${username}`);
+            return res.redirect(`/login?error=${LOGIN_FAILED_MESSAGE}`);
+        }
+        // Only someone who knows the password learns that the account is disabled
+        if (!user.is_active) {
+            console.log(`[Login Failed] Account disabled: ${username}`);
+            return res.redirect('/login?error=This account has been disabled.');
         }
-        const user = rows[0];
 
-        // --- Plain Text Password Check (INSECURE) ---
-        if (password === user.password) {
-            console.log(`[Login Success] User: ${username}`);
-            // --- End Direct Comparison ---
+        console.log(`[Login Success] User: ${username}`);
+        const passwordUpdate = needsUpgrade ? await hashPassword(password) : user.password; // Legacy plain-text rows are re-saved hashed
+        await dbPool.query('UPDATE credentials SET password = ?, failed_attempts = 0, locked_until = NULL, last_login_at = NOW() WHERE username = ?', [passwordUpdate, username]);
+        if (needsUpgrade) console.log(`[Login Success] Upgraded plain-text password for ${username}.`);
 
-            // Store user info directly in the session
-            req.session.user = { username: user.username, role: user.role, linked_user_id: user.user_id };
+        // A fresh session id on every login, so an id planted before login is never the one that gets signed in
+        req.session.regenerate((regenerateError) => {
+            if (regenerateError) {
+                console.error('Session regenerate error:', regenerateError);
+                return res.redirect('/login?error=Session error during login.');
+            }
+            req.session.user = { username: user.username, role: user.role, linked_user_id: user.user_id, mustChangePassword: Boolean(user.must_change_password) };
 
             // Save the session explicitly before redirecting
             req.session.save((err) => {
@@ -164,33 +265,7 @@ app.post('/login', async (req, res) => {
                 console.log(`[Login Success] Session saved for ${username}. Redirecting to /home.`);
                 res.redirect('/home'); // Redirect AFTER session is saved
             });
-
-            // Using regenerate (alternative, keep one of the methods - save or regenerate)
-            /*
-            req.session.regenerate((err) => {
-                 if (err) {
-                     console.error('Session regeneration error:', err);
-                     return res.redirect('/login?error=Session error during regenerate.');
-                 }
-                 // Set user data AFTER regenerating
-                 req.session.user = { username: user.username, role: user.role, linked_user_id: user.user_id };
-                 console.log(`[Login Success] Session regenerated for ${username}. User data set.`);
-
-                 // Save again after setting data in regenerated session
-                 req.session.save((saveErr) => {
-                    if (saveErr) {
-                         console.error('Session save after regenerate error:', saveErr);
-                         return res.redirect('/login?error=Session error after regenerate.');
-                    }
-                    console.log(`[Login Success] Regenerated session saved for ${username}. Redirecting to /home.`);
-                    res.redirect('/home');
-                 });
-            });
-            */
-        } else {
-            console.log(`[Login Failed] Invalid password for user: ${username}`);
-            res.redirect('/login?error=Invalid username or password.');
-        }
+        });
     } catch (error) {
         console.error('[Login Error] Database or other error:', error);
         res.redirect('/login?error=An error occurred during login.');
@@ -216,7 +291,7 @@ app.get('/logout', (req, res) => {
 // --- Admin Routes (Protected by isAuthenticated) ---
 
 app.get('/home', isAuthenticated, (req, res) => {
-    res.render('reports-landing');
+    res.render('reports-landing', { messages: req.query });
 });
 
 app.get('/actions/:userType', isAuthenticated, (req, res) => {
@@ -225,96 +300,607 @@ app.get('/actions/:userType', isAuthenticated, (req, res) => {
     res.render('action-selection', { userType });
 });
 
-app.get('/reports/student', isAuthenticated, (req, res) => {
-    res.render('report-generator', { userType: 'student', reportData: null, visitCounts: [], filters: null, error: req.query.error });
+// Report page: plain visit list plus the analytics view, both with the same filters
+const REPORT_FILTER_FIELDS = ['user_type', 'start_date', 'end_date', 'program_id', 'department_id', 'year', 'user_id'];
+function getReportFilters(body) { const filters = {}; REPORT_FILTER_FIELDS.forEach(f => { filters[f] = typeof body[f] === 'string' ? body[f].trim() : ''; }); return filters; }
+async function renderReportPage(res, userType, data) {
+    const [programs] = await dbPool.query('SELECT program_id, degree, branch_code FROM programs ORDER BY degree, branch_code');
+    const [departments] = await dbPool.query('SELECT department_id, department_name FROM departments ORDER BY department_name');
+    res.render('report-generator', { userType, reportData: null, visitCounts: [], analytics: null, filters: null, error: null, programs, departments, ...data });
+}
+app.get('/reports/student', requirePermission('reports'), async (req, res) => {
+    try { await renderReportPage(res, 'student', { error: req.query.error }); } catch (error) { console.error("Report page error:", error); res.status(500).send('Could not load report page.'); }
 });
-app.get('/reports/faculty', isAuthenticated, (req, res) => {
-    res.render('report-generator', { userType: 'faculty', reportData: null, visitCounts: [], filters: null, error: req.query.error });
+app.get('/reports/faculty', requirePermission('reports'), async (req, res) => {
+    try { await renderReportPage(res, 'faculty', { error: req.query.error }); } catch (error) { console.error("Report page error:", error); res.status(500).send('Could not load report page.'); }
 });
 
-app.post('/reports/preview', isAuthenticated, async (req, res) => {
-    const { user_type, start_date, end_date } = req.body; let detailQuery, countQuery; let params = [start_date, end_date];
-    if (user_type === 'student') { detailQuery = `SELECT al.*, u.user_name, p.branch_name as group_name FROM attendance_log al JOIN users u ON al.user_id = u.user_id JOIN programs p ON u.program_id = p.program_id WHERE u.user_type = 'student' AND al.log_date BETWEEN ? AND ? ORDER BY al.log_date, al.login_time;`; countQuery = `SELECT p.degree, COUNT(al.log_id) as count FROM attendance_log al JOIN users u ON al.user_id = u.user_id JOIN programs p ON u.program_id = p.program_id WHERE u.user_type = 'student' AND al.log_date BETWEEN ? AND ? GROUP BY p.degree ORDER BY p.degree;`; }
-    else { detailQuery = `SELECT al.*, u.user_name, d.department_name as group_name FROM attendance_log al JOIN users u ON al.user_id = u.user_id JOIN departments d ON u.department_id = d.department_id WHERE u.user_type = 'faculty' AND al.log_date BETWEEN ? AND ? ORDER BY al.log_date, al.login_time;`; countQuery = `SELECT d.department_name as group_name, COUNT(al.log_id) as count FROM attendance_log al JOIN users u ON al.user_id = u.user_id JOIN departments d ON u.department_id = d.department_id WHERE u.user_type = 'faculty' AND al.log_date BETWEEN ? AND ? GROUP BY d.department_name ORDER BY d.department_name;`; }
-    try { const [reportData] = await dbPool.query(detailQuery, params); const [visitCounts] = await dbPool.query(countQuery, params); res.render('report-generator', { userType: user_type, reportData: reportData, visitCounts: visitCounts, filters: req.body }); }
-    catch (error) { console.error("Report preview error:", error); res.redirect(`/reports/${user_type}?error=Failed to generate report.`); }
+app.post('/reports/preview', requirePermission('reports'), async (req, res) => {
+    const filters = getReportFilters(req.body); if (filters.user_type !== 'student' && filters.user_type !== 'faculty') return res.status(404).send('Invalid user type.');
+    try { const reportData = await getVisitRows(dbPool, filters); const visitCounts = await getVisitCounts(dbPool, filters); await renderReportPage(res, filters.user_type, { reportData: reportData, visitCounts: visitCounts, filters: filters }); }
+    catch (error) { console.error("Report preview error:", error); res.redirect(`/reports/${filters.user_type}?error=Failed to generate report.`); }
 });
 
-app.post('/reports/download', isAuthenticated, async (req, res) => {
-    const { user_type, start_date, end_date } = req.body; let query; let params = [start_date, end_date];
-    if (user_type === 'student') { query = `SELECT al.user_id, u.user_name, p.branch_name as group_name, DATE_FORMAT(al.log_date, '%Y-%m-%d') as log_date, TIME_FORMAT(al.login_time, '%H:%i:%s') as login_time, TIME_FORMAT(al.logout_time, '%H:%i:%s') as logout_time FROM attendance_log al JOIN users u ON al.user_id = u.user_id JOIN programs p ON u.program_id = p.program_id WHERE u.user_type = 'student' AND al.log_date BETWEEN ? AND ? ORDER BY al.log_date, al.login_time;`; } else { query = `SELECT al.user_id, u.user_name, d.department_name as group_name, DATE_FORMAT(al.log_date, '%Y-%m-%d') as log_date, TIME_FORMAT(al.login_time, '%H:%i:%s') as login_time, TIME_FORMAT(al.logout_time, '%H:%i:%s') as logout_time FROM attendance_log al JOIN users u ON al.user_id = u.user_id JOIN departments d ON u.department_id = d.department_id WHERE u.user_type = 'faculty' AND al.log_date BETWEEN ? AND ? ORDER BY al.log_date, al.login_time;`; }
-    try { const [reportData] = await dbPool.query(query, params); const workbook = new ExcelJS.Workbook(); const worksheet = workbook.addWorksheet('Attendance Report'); worksheet.columns = [{ header: 'User ID', key: 'user_id', width: 20 }, { header: 'Name', key: 'user_name', width: 30 }, { header: (user_type === 'student' ? 'Branch' : 'Department'), key: 'group_name', width: 30 }, { header: 'Date', key: 'log_date', width: 15 }, { header: 'Login Time', key: 'login_time', width: 15 }, { header: 'Logout Time', key: 'logout_time', width: 15 }];
-        reportData.forEach(row => { const formattedRow = { ...row, logout_time: row.logout_time || 'N/A' }; worksheet.addRow(formattedRow); });
+app.post('/reports/download', requirePermission('reports'), async (req, res) => {
+    const filters = getReportFilters(req.body); const { user_type, start_date, end_date } = filters; if (user_type !== 'student' && user_type !== 'faculty') return res.status(404).send('Invalid user type.');
+    try { const reportData = await getVisitRows(dbPool, filters); const workbook = new ExcelJS.Workbook(); const worksheet = workbook.addWorksheet('Attendance Report'); worksheet.columns = [{ header: 'User ID', key: 'user_id', width: 20 }, { header: 'Name', key: 'user_name', width: 30 }, { header: (user_type === 'student' ? 'Branch' : 'Department'), key: 'group_name', width: 30 }, { header: 'Date', key: 'log_date', width: 15 }, { header: 'Login Time', key: 'login_time', width: 15 }, { header: 'Logout Time', key: 'logout_time', width: 15 }, { header: 'Logout Type', key: 'logout_type', width: 15 }];
+        reportData.forEach(row => { const formattedRow = { ...row, logout_time: row.logout_time || 'N/A', logout_type: logoutTypeLabel(row) }; worksheet.addRow(formattedRow); });
         res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'); res.setHeader('Content-Disposition', `attachment; filename="Attendance_Report_${user_type}_${start_date}_to_${end_date}.xlsx"`); await workbook.xlsx.write(res); res.end();
     } catch (error) { console.error("Excel download error:", error); res.status(500).send("Failed to generate Excel file."); }
 });
 
+app.post('/reports/analytics', requirePermission('reports'), async (req, res) => {
+    const filters = getReportFilters(req.body); if (filters.user_type !== 'student' && filters.user_type !== 'faculty') return res.status(404).send('Invalid user type.');
+    if (!filters.start_date || !filters.end_date || filters.start_date > filters.end_date) return res.redirect(`/reports/${filters.user_type}?error=Choose a valid date range.`);
+    try { const analytics = await getAnalytics(dbPool, filters); await renderReportPage(res, filters.user_type, { analytics: analytics, filters: filters }); }
+    catch (error) { console.error("Analytics error:", error); res.redirect(`/reports/${filters.user_type}?error=Failed to generate analytics.`); }
+});
+
+app.post('/reports/analytics/download', requirePermission('reports'), async (req, res) => {
+    const filters = getReportFilters(req.body); if (filters.user_type !== 'student' && filters.user_type !== 'faculty') return res.status(404).send('Invalid user type.');
+    if (!filters.start_date || !filters.end_date || filters.start_date > filters.end_date) return res.redirect(`/reports/${filters.user_type}?error=Choose a valid date range.`);
+    try { const analytics = await getAnalytics(dbPool, filters); const visits = await getVisitRows(dbPool, filters, true); const workbook = buildAnalyticsWorkbook(analytics, visits);
+        res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'); res.setHeader('Content-Disposition', `attachment; filename="Library_Analytics_${filters.user_type}_${filters.start_date}_to_${filters.end_date}.xlsx"`); await workbook.xlsx.write(res); res.end();
+    } catch (error) { console.error("Analytics download error:", error); res.status(500).send("Failed to generate Excel file."); }
+});
+
 // Separate User Management Pages
-app.get('/manage-student', isAuthenticated, async (req, res) => {
-    try { const [programs] = await dbPool.query('SELECT * FROM programs ORDER BY degree, branch_name'); res.render('manage-student', { messages: req.query, programs: programs }); } catch (error) { res.render('manage-student', { messages: { error: 'Could not load page data.' }, programs: [] }); }
+app.get('/manage-student', requirePermission('users'), async (req, res) => {
+    try { const [programs] = await dbPool.query('SELECT * FROM programs WHERE is_active = 1 ORDER BY degree, branch_name'); res.render('manage-student', { messages: req.query, programs: programs }); } catch (error) { res.render('manage-student', { messages: { error: 'Could not load page data.' }, programs: [] }); }
 });
-app.get('/manage-faculty', isAuthenticated, async (req, res) => {
-     try { const [departments] = await dbPool.query('SELECT * FROM departments ORDER BY department_name'); res.render('manage-faculty', { messages: req.query, departments: departments }); } catch (error) { res.render('manage-faculty', { messages: { error: 'Could not load page data.' }, departments: [] }); }
+app.get('/manage-faculty', requirePermission('users'), async (req, res) => {
+     try { const [departments] = await dbPool.query('SELECT * FROM departments WHERE is_active = 1 ORDER BY department_name'); res.render('manage-faculty', { messages: req.query, departments: departments }); } catch (error) { res.render('manage-faculty', { messages: { error: 'Could not load page data.' }, departments: [] }); }
 });
 
 // User Management POST Actions
-app.post('/add-student-manual', isAuthenticated, async (req, res) => {
-    const { user_id, user_name, year, program_id } = req.body; try { await dbPool.query(`INSERT INTO users (user_id, user_type, user_name, year, program_id) VALUES (?, 'student', ?, ?, ?)`, [user_id, user_name, year, program_id]); res.redirect('/manage-student?success=Student added!'); } catch (error) { if (error.code === 'ER_DUP_ENTRY') return res.redirect('/manage-student?error=ID exists.'); res.redirect('/manage-student?error=Failed.'); }
+app.post('/add-student-manual', requirePermission('users'), async (req, res) => {
+    const { user_id, user_name, year, program_id } = req.body; try { await inTransaction(dbPool, async (connection) => { await connection.query(`INSERT INTO users (user_id, user_type, user_name, year, program_id) VALUES (?, 'student', ?, ?, ?)`, [user_id, user_name, year, program_id]); await recordAudit(connection, req, { action: 'user.create', entityType: 'user', entityId: user_id, after: { user_type: 'student', user_name, year, program_id } }); }); res.redirect('/manage-student?success=Student added!'); } catch (error) { if (error.code === 'ER_DUP_ENTRY') return res.redirect('/manage-student?error=ID exists.'); res.redirect('/manage-student?error=Failed.'); }
+});
+app.post('/add-faculty-manual', requirePermission('users'), async (req, res) => {
+    const { user_id, user_name, designation, department_id } = req.body; try { await inTransaction(dbPool, async (connection) => { await connection.query(`INSERT INTO users (user_id, user_type, user_name, designation, department_id) VALUES (?, 'faculty', ?, ?, ?)`, [user_id, user_name, designation, department_id]); await recordAudit(connection, req, { action: 'user.create', entityType: 'user', entityId: user_id, after: { user_type: 'faculty', user_name, designation, department_id } }); }); res.redirect('/manage-faculty?success=Faculty added!'); } catch (error) { if (error.code === 'ER_DUP_ENTRY') return res.redirect('/manage-faculty?error=ID exists.'); res.redirect('/manage-faculty?error=Failed.'); }
 });
-app.post('/upload-students-excel', isAuthenticated, upload.single('userFile'), async (req, res) => {
-    if (!req.file) return res.redirect('/manage-student?error=No file.'); const connection = await dbPool.getConnection(); try { const workbook = new ExcelJS.Workbook(); await workbook.xlsx.readFile(req.file.path); const worksheet = workbook.getWorksheet(1); const studentsToInsert = [];
-        for (let i = 2; i <= worksheet.rowCount; i++) { const row = worksheet.getRow(i); const user_id = row.getCell(1).text; const user_name = row.getCell(2).text; const year = row.getCell(3).text; const degree = row.getCell(4).text; const branch_code = row.getCell(5).text; if (!user_id) continue; const [programRows] = await connection.query('SELECT program_id FROM programs WHERE degree = ? AND branch_code = ?', [degree, branch_code]); if (programRows.length === 0) { throw new Error(`Program not found: ${degree}-${branch_code}.`); } studentsToInsert.push([user_id, 'student', user_name, programRows[0].program_id, year]); }
-        if (studentsToInsert.length > 0) { await connection.beginTransaction(); await connection.query(`INSERT INTO users (user_id, user_type, user_name, program_id, year) VALUES ?`, [studentsToInsert]); await connection.commit(); } res.redirect(`/manage-student?success=${studentsToInsert.length} uploaded!`);
-    } catch (error) { if (connection) await connection.rollback(); res.redirect(`/manage-student?error=${error.message}`); } finally { if (connection) connection.release(); if (req.file) fs.unlink(req.file.path, (err) => { if (err) console.error("Err delete temp:", err); }); }
+app.post('/upload-students-excel', requirePermission('users'), upload.single('userFile'), (req, res) => previewImport(req, res, 'student'));
+app.post('/upload-faculty-excel', requirePermission('users'), upload.single('userFile'), (req, res) => previewImport(req, res, 'faculty'));
+
+// User Directory Routes: search, edit and (de)activate students and faculty, plus the semester-end promotion
+const USER_PAGE_SIZE = 50;
+async function getGroupOptions() {
+    const [programs] = await dbPool.query('SELECT program_id, degree, branch_name, branch_code, duration_years, is_active FROM programs ORDER BY degree, branch_code');
+    const [departments] = await dbPool.query('SELECT department_id, department_name, is_active FROM departments ORDER BY department_name');
+    return { programs, departments };
+}
+app.get('/users', requirePermission('users'), async (req, res) => {
+    const filters = { q: req.query.q || '', user_type: req.query.user_type || '', program_id: req.query.program_id || '', department_id: req.query.department_id || '', year: req.query.year || '', status: req.query.status || 'active' };
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1); const messages = { success: req.query.success, error: req.query.error };
+    try { const { total, rows } = await searchUsers(dbPool, filters, { limit: USER_PAGE_SIZE, offset: (page - 1) * USER_PAGE_SIZE }); const { programs, departments } = await getGroupOptions(); res.render('user-list', { messages: messages, users: rows, total: total, page: page, pageCount: Math.max(1, Math.ceil(total / USER_PAGE_SIZE)), filters: filters, programs: programs, departments: departments }); }
+    catch (error) { console.error("Error fetching users:", error); res.render('user-list', { messages: { error: 'Could not load users.' }, users: [], total: 0, page: 1, pageCount: 1, filters: filters, programs: [], departments: [] }); }
 });
-app.post('/add-faculty-manual', isAuthenticated, async (req, res) => {
-    const { user_id, user_name, designation, department_id } = req.body; try { await dbPool.query(`INSERT INTO users (user_id, user_type, user_name, designation, department_id) VALUES (?, 'faculty', ?, ?, ?)`, [user_id, user_name, designation, department_id]); res.redirect('/manage-faculty?success=Faculty added!'); } catch (error) { if (error.code === 'ER_DUP_ENTRY') return res.redirect('/manage-faculty?error=ID exists.'); res.redirect('/manage-faculty?error=Failed.'); }
+app.get('/users/promotion', requirePermission('promotion'), async (req, res) => {
+    try { const plan = await getPromotionPlan(dbPool); res.render('user-promotion', { messages: req.query, plan: plan, review: null, intervalDays: PROMOTION_INTERVAL_DAYS }); }
+    catch (error) { console.error("Error building promotion plan:", error); res.render('user-promotion', { messages: { error: 'Could not load students.' }, plan: [], review: null, intervalDays: PROMOTION_INTERVAL_DAYS }); }
 });
-app.post('/upload-faculty-excel', isAuthenticated, upload.single('userFile'), async (req, res) => {
-     if (!req.file) return res.redirect('/manage-faculty?error=No file.'); const connection = await dbPool.getConnection(); try { const workbook = new ExcelJS.Workbook(); await workbook.xlsx.readFile(req.file.path); const worksheet = workbook.getWorksheet(1); const facultyToInsert = [];
-        for (let i = 2; i <= worksheet.rowCount; i++) { const row = worksheet.getRow(i); const user_id = row.getCell(1).text; const user_name = row.getCell(2).text; const department_name = row.getCell(3).text; const designation = row.getCell(4).text; if (!user_id) continue; const [deptRows] = await connection.query('SELECT department_id FROM departments WHERE department_name = ?', [department_name]); if (deptRows.length === 0) { throw new Error(`Department not found: ${department_name}.`); } facultyToInsert.push([user_id, 'faculty', user_name, deptRows[0].department_id, designation]); }
-        if (facultyToInsert.length > 0) { await connection.beginTransaction(); await connection.query(`INSERT INTO users (user_id, user_type, user_name, department_id, designation) VALUES ?`, [facultyToInsert]); await connection.commit(); } res.redirect(`/manage-faculty?success=${facultyToInsert.length} uploaded!`);
-    } catch (error) { if (connection) await connection.rollback(); res.redirect(`/manage-faculty?error=${error.message}`); } finally { if (connection) connection.release(); if (req.file) fs.unlink(req.file.path, (err) => { if (err) console.error("Err delete temp:", err); }); }
+const readProgramIds = (body) => [].concat(body.program_ids || []).map(id => parseInt(id, 10)).filter(id => !Number.isNaN(id));
+// Step 1: show exactly what will happen to the selected programs and ask for confirmation
+app.post('/users/promotion/review', requirePermission('promotion'), async (req, res) => {
+    const programIds = readProgramIds(req.body); if (programIds.length === 0) return res.redirect('/users/promotion?error=Select at least one program.');
+    try { const plan = await getPromotionPlan(dbPool); const review = plan.filter(p => programIds.includes(p.program_id) && p.duration_years && !p.promotedRecently);
+        if (review.length === 0) return res.redirect('/users/promotion?error=None of the selected programs can be promoted now.');
+        res.render('user-promotion', { messages: {}, plan: plan, review: review, intervalDays: PROMOTION_INTERVAL_DAYS });
+    } catch (error) { console.error("Error building promotion plan:", error); res.redirect('/users/promotion?error=Could not load students.'); }
+});
+// Step 2: the confirmed run
+app.post('/users/promotion', requirePermission('promotion'), async (req, res) => {
+    const programIds = readProgramIds(req.body); if (programIds.length === 0) return res.redirect('/users/promotion?error=Select at least one program.');
+    if (req.body.confirmed !== '1') return res.redirect('/users/promotion?error=Review the numbers and confirm the promotion first.');
+    const connection = await dbPool.getConnection(); try { await connection.beginTransaction();
+        const results = await applyPromotion(connection, programIds);
+        const promoted = results.reduce((sum, r) => sum + r.promoted, 0); const graduated = results.reduce((sum, r) => sum + r.graduated.length, 0);
+        await recordAudit(connection, req, { action: 'user.promote', entityType: 'program', entityId: results.map(r => r.program_id).join(','), after: results, details: `Promoted ${promoted}, graduated ${graduated} in ${results.length} program(s)` });
+        await connection.commit(); res.redirect(`/users/promotion?success=Promoted ${promoted} student(s) and graduated ${graduated}.`);
+    } catch (error) { await connection.rollback(); if (error instanceof PromotionError) return res.redirect(`/users/promotion?error=${encodeURIComponent(`${error.message} Nothing was changed.`)}`); console.error("Promotion Error:", error); res.redirect('/users/promotion?error=Promotion failed; nothing was changed.'); } finally { connection.release(); }
+});
+app.get('/users/:userId/edit', requirePermission('users'), async (req, res) => {
+    try { const [userRows] = await dbPool.query("SELECT *, DATE_FORMAT(graduated_on, '%Y-%m-%d') AS graduated_on FROM users WHERE user_id = ?", [req.params.userId]); if (userRows.length === 0) return res.status(404).send('User not found.');
+        const { programs, departments } = await getGroupOptions(); res.render('user-edit', { messages: req.query, user: userRows[0], programs: programs, departments: departments }); }
+    catch (error) { console.error("Error loading user:", error); res.redirect('/users?error=Could not load user.'); }
+});
+app.post('/users/:userId/edit', requirePermission('users'), async (req, res) => {
+    const { userId } = req.params; const editUrl = `/users/${encodeURIComponent(userId)}/edit`;
+    try { const [userRows] = await dbPool.query('SELECT user_type, user_name, year, program_id, designation, department_id FROM users WHERE user_id = ?', [userId]); if (userRows.length === 0) return res.redirect('/users?error=User not found.');
+        const before = userRows[0]; const isStudent = before.user_type === 'student'; const user_name = (req.body.user_name || '').trim();
+        const changes = isStudent ? { user_name, year: parseInt(req.body.year, 10), program_id: parseInt(req.body.program_id, 10) } : { user_name, designation: (req.body.designation || '').trim(), department_id: parseInt(req.body.department_id, 10) };
+        if (!user_name || Object.values(changes).some(v => Number.isNaN(v))) return res.redirect(`${editUrl}?error=All fields are required.`);
+        if (isStudent && (changes.year < 1 || changes.year > 6)) return res.redirect(`${editUrl}?error=Year must be between 1 and 6.`);
+        const changed = Object.keys(changes).filter(key => String(changes[key]) !== String(before[key] === null ? '' : before[key])); if (changed.length === 0) return res.redirect(`${editUrl}?success=No changes.`);
+        await inTransaction(dbPool, async (connection) => {
+            await connection.query(`UPDATE users SET ${changed.map(key => `${key} = ?`).join(', ')} WHERE user_id = ?`, [...changed.map(key => changes[key]), userId]);
+            await recordAudit(connection, req, { action: 'user.update', entityType: 'user', entityId: userId, before: Object.fromEntries(changed.map(key => [key, before[key]])), after: Object.fromEntries(changed.map(key => [key, changes[key]])) });
+        });
+        res.redirect(`${editUrl}?success=Saved.`);
+    } catch (error) { if (error.code === 'ER_NO_REFERENCED_ROW_2') return res.redirect(`${editUrl}?error=That program or department does not exist.`); console.error("Error updating user:", error); res.redirect(`${editUrl}?error=Failed.`); }
+});
+// Deactivated users keep their history and card but can no longer start a visit; reactivating clears a graduation
+app.post('/users/:userId/status', requirePermission('users'), async (req, res) => {
+    const { userId } = req.params; const isActive = req.body.is_active === '1' ? 1 : 0; const back = req.body.back === 'edit' ? `/users/${encodeURIComponent(userId)}/edit` : '/users';
+    try { const [userRows] = await dbPool.query("SELECT is_active, DATE_FORMAT(graduated_on, '%Y-%m-%d') AS graduated_on FROM users WHERE user_id = ?", [userId]); if (userRows.length === 0) return res.redirect('/users?error=User not found.');
+        await inTransaction(dbPool, async (connection) => {
+            await connection.query(`UPDATE users SET is_active = ?${isActive ? ', graduated_on = NULL' : ''} WHERE user_id = ?`, [isActive, userId]);
+            await recordAudit(connection, req, { action: isActive ? 'user.activate' : 'user.deactivate', entityType: 'user', entityId: userId, before: userRows[0], after: { is_active: isActive } });
+        });
+        res.redirect(`${back}?success=${encodeURIComponent(`${userId} ${isActive ? 'reactivated' : 'deactivated'}.`)}`);
+    } catch (error) { console.error("Error changing user status:", error); res.redirect(`${back}?error=Failed.`); }
 });
 
-// Edit RFID Routes
-app.get('/edit-rfid', isAuthenticated, async (req, res) => {
-    res.render('edit-rfid', { messages: req.query, searchResult: null });
+// Bulk Import: the upload only validates and shows a preview; nothing is written until it is committed
+const IMPORT_PREVIEW_ROW_LIMIT = 200;
+async function previewImport(req, res, userType) {
+    const backUrl = `/manage-${userType}`; if (!req.file) return res.redirect(`${backUrl}?error=No file.`);
+    try { const ext = path.extname(req.file.originalname).toLowerCase(); if (ext !== '.xlsx' && ext !== '.csv') return res.redirect(`${backUrl}?error=Upload an .xlsx or .csv file.`);
+        const preview = await buildPreview(dbPool, userType, await readUpload(req.file.path, req.file.originalname));
+        if (preview.rows.length === 0) return res.redirect(`${backUrl}?error=The file has no data rows.`);
+        const token = await savePreview(preview, { fileName: req.file.originalname, createdBy: req.session.user.username });
+        res.redirect(`/import/${token}`);
+    } catch (error) { console.error("Import Preview Error:", error); res.redirect(`${backUrl}?error=${encodeURIComponent(error.message)}`); }
+    finally { fs.unlink(req.file.path, (err) => { if (err) console.error("Err delete temp:", err); }); }
+}
+// Previews belong to whoever uploaded them
+async function loadOwnPreview(req) { const preview = await loadPreview(req.params.token); return preview && preview.createdBy === req.session.user.username ? preview : null; }
+app.get('/import/:token', requirePermission('users'), async (req, res) => {
+    try { const preview = await loadOwnPreview(req); if (!preview) return res.redirect('/home?error=Import preview expired or not found. Please upload the file again.');
+        res.render('import-preview', { messages: req.query, preview: preview, spec: IMPORT_SPECS[preview.userType], rowLimit: IMPORT_PREVIEW_ROW_LIMIT });
+    } catch (error) { console.error("Import Preview Error:", error); res.redirect('/home?error=Could not load import preview.'); }
+});
+app.get('/import/:token/errors', requirePermission('users'), async (req, res) => {
+    try { const preview = await loadOwnPreview(req); if (!preview) return res.redirect('/home?error=Import preview expired or not found.');
+        const workbook = buildErrorWorkbook(preview); const baseName = path.basename(preview.fileName, path.extname(preview.fileName));
+        res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'); res.setHeader('Content-Disposition', `attachment; filename="${baseName.replace(/[^\w.-]/g, '_')}_rejected_rows.xlsx"`);
+        await workbook.xlsx.write(res); res.end();
+    } catch (error) { console.error("Import Errors Download Error:", error); res.status(500).send("Could not generate the rejected rows file."); }
 });
-app.post('/edit-rfid/search', isAuthenticated, async (req, res) => {
-    const { user_id_search } = req.body; if (!user_id_search) return res.render('edit-rfid', { messages: { error: 'Please enter a User ID.' }, searchResult: null });
-    try { const [userRows] = await dbPool.query('SELECT user_id, user_name, user_type FROM users WHERE user_id = ?', [user_id_search]); if (userRows.length === 0) return res.render('edit-rfid', { messages: { error: `User ID '${user_id_search}' not found.` }, searchResult: null }); const user = userRows[0]; const [rfidRows] = await dbPool.query('SELECT uid FROM rfid_details WHERE user_id = ?', [user_id_search]); const currentUid = rfidRows.length > 0 ? rfidRows[0].uid : null; res.render('edit-rfid', { messages: req.query, searchResult: { ...user, currentUid } }); } catch (error) { console.error("RFID Search Error:", error); res.render('edit-rfid', { messages: { error: 'Error searching.' }, searchResult: null }); }
+app.post('/import/:token/commit', requirePermission('users'), async (req, res) => {
+    const mode = req.body.mode; let preview; try { preview = await loadOwnPreview(req); } catch (error) { preview = null; }
+    if (!preview) return res.redirect('/home?error=Import preview expired or not found. Please upload the file again.');
+    const backUrl = `/manage-${preview.userType}`; if (!IMPORT_MODES.includes(mode)) return res.redirect(`/import/${preview.token}?error=Choose an import mode.`);
+    const connection = await dbPool.getConnection();
+    try { await connection.beginTransaction(); const result = await commitPreview(connection, preview, mode);
+        await recordAudit(connection, req, { action: 'user.import', entityType: 'user', before: result.updatedIds.length ? result.before : null,
+            after: { mode, user_type: preview.userType, inserted: result.inserted, updated: result.updated, deactivated: result.deactivated, inserted_ids: result.insertedIds, updated_ids: result.updatedIds, deactivated_ids: result.deactivatedIds, conflict_ids: result.conflicts },
+            details: `${preview.fileName}: ${result.inserted} added, ${result.updated} updated, ${result.deactivated} deactivated, ${preview.counts.invalid} rejected, ${result.conflicts.length} conflicting (${mode})` });
+        await connection.commit(); await discardPreview(preview.token);
+        const conflicts = result.conflicts.length ? ` ${result.conflicts.length} ID(s) now belong to another user type and were left alone: ${result.conflicts.slice(0, 10).join(', ')}${result.conflicts.length > 10 ? ', ...' : ''}.` : '';
+        res.redirect(`${backUrl}?success=${encodeURIComponent(`Import complete: ${result.inserted} added, ${result.updated} updated${mode === 'deactivate' ? `, ${result.deactivated} deactivated` : ''}${result.skipped ? `, ${result.skipped} existing skipped` : ''}.${conflicts}`)}`);
+    } catch (error) { await connection.rollback(); console.error("Import Commit Error:", error); res.redirect(`/import/${preview.token}?error=${encodeURIComponent(error.message)}`); }
+    finally { connection.release(); }
 });
-app.post('/edit-rfid/update', isAuthenticated, async (req, res) => {
-    const { user_id, new_uid } = req.body; if (!user_id) return res.redirect('/edit-rfid?error=User ID missing.');
+
+// Card Registration Routes
+app.get('/register', requirePermission('rfid'), (req, res) => {
+    res.render('register', { messages: req.query });
+});
+
+app.post('/add', requirePermission('rfid'), async (req, res) => {
+    const { user_id, uid } = req.body;
+    if (!user_id || !uid) return res.redirect('/register?error=All fields are required.');
+    const connection = await dbPool.getConnection(); try { await connection.beginTransaction();
+        const [userRows] = await connection.query('SELECT user_id FROM users WHERE user_id = ?', [user_id]); if (userRows.length === 0) throw new CardError(`User ID ${user_id} does not exist.`);
+        if (await getCurrentCard(connection, user_id)) throw new CardError(`${user_id} already has a card. Use Edit RFID to replace it.`);
+        const { after } = await assignCard(connection, { userId: user_id, uid }, req.session.user.username);
+        await recordAudit(connection, req, { action: 'rfid.assign', entityType: 'rfid', entityId: user_id, after });
+        await connection.commit(); res.redirect('/register?success=Registration successful!');
+    } catch (err) { await connection.rollback(); if (err instanceof CardError) return res.redirect(`/register?error=${encodeURIComponent(err.message)}`); console.error("Card Registration Error:", err); res.redirect('/register?error=Database error.'); } finally { connection.release(); }
+});
+
+// Edit RFID Routes: replace, return or block a user's card, issue temporary/visitor cards, see the card history
+async function renderEditRfid(res, userId, messages) {
+    try { const [userRows] = await dbPool.query('SELECT user_id, user_name, user_type, is_active FROM users WHERE user_id = ?', [userId]); if (userRows.length === 0) return res.render('edit-rfid', { messages: { error: `User ID '${userId}' not found.` }, searchResult: null, cardTypes: CARD_TYPES });
+        const card = await getCurrentCard(dbPool, userId); const history = await getCardHistory(dbPool, userId);
+        res.render('edit-rfid', { messages: messages, searchResult: { ...userRows[0], currentUid: card ? card.uid : null, card: card, history: history }, cardTypes: CARD_TYPES, releaseReasons: RELEASE_REASONS });
+    } catch (error) { console.error("RFID Search Error:", error); res.render('edit-rfid', { messages: { error: 'Error searching.' }, searchResult: null, cardTypes: CARD_TYPES }); }
+}
+const editRfidUrl = (userId, flash) => `/edit-rfid?user_id_search=${encodeURIComponent(userId)}&${Object.entries(flash).map(([k, v]) => `${k}=${encodeURIComponent(v)}`).join('&')}`;
+app.get('/edit-rfid', requirePermission('rfid'), async (req, res) => {
+    if (req.query.user_id_search) return renderEditRfid(res, req.query.user_id_search, req.query);
+    res.render('edit-rfid', { messages: req.query, searchResult: null, cardTypes: CARD_TYPES });
+});
+app.post('/edit-rfid/search', requirePermission('rfid'), async (req, res) => {
+    const { user_id_search } = req.body; if (!user_id_search) return res.render('edit-rfid', { messages: { error: 'Please enter a User ID.' }, searchResult: null, cardTypes: CARD_TYPES });
+    renderEditRfid(res, user_id_search.trim(), {});
+});
+app.post('/edit-rfid/update', requirePermission('rfid'), async (req, res) => {
+    const { user_id, new_uid, card_type, expires_on } = req.body; if (!user_id) return res.redirect('/edit-rfid?error=User ID missing.');
     const connection = await dbPool.getConnection(); try { await connection.beginTransaction();
-        if (new_uid) { const [existingUidRows] = await connection.query('SELECT user_id FROM rfid_details WHERE uid = ? AND user_id != ?', [new_uid, user_id]); if (existingUidRows.length > 0) throw new Error(`UID '${new_uid}' already assigned to ${existingUidRows[0].user_id}.`); }
-        await connection.query('DELETE FROM rfid_details WHERE user_id = ?', [user_id]);
-        if (new_uid) { await connection.query('INSERT INTO rfid_details (user_id, uid) VALUES (?, ?)', [user_id, new_uid]); }
-        await connection.commit(); res.redirect(`/edit-rfid?success=Updated RFID for ${user_id}.`);
-    } catch (error) { await connection.rollback(); console.error("RFID Update Error:", error); res.redirect(`/edit-rfid?error=${encodeURIComponent(error.message || 'Update failed.')}&user_id_search=${encodeURIComponent(user_id)}`); } finally { connection.release(); }
+        let change;
+        if (new_uid) change = await assignCard(connection, { userId: user_id, uid: new_uid.trim(), cardType: card_type || 'PERMANENT', expiresOn: expires_on || null }, req.session.user.username);
+        else { const released = await releaseCard(connection, user_id, 'RETURNED', req.session.user.username); change = { before: { uid: released ? released.uid : null }, after: { uid: null } }; }
+        await recordAudit(connection, req, { action: 'rfid.update', entityType: 'rfid', entityId: user_id, before: change.before, after: change.after });
+        await connection.commit(); res.redirect(editRfidUrl(user_id, { success: `Updated RFID for ${user_id}.` }));
+    } catch (error) { await connection.rollback(); if (!(error instanceof CardError)) console.error("RFID Update Error:", error); res.redirect(editRfidUrl(user_id, { error: error instanceof CardError ? error.message : 'Update failed.' })); } finally { connection.release(); }
+});
+// A lost card is unbound and blocked so that scanning it shows BLOCKED instead of logging anyone in
+app.post('/edit-rfid/release', requirePermission('rfid'), async (req, res) => {
+    const { user_id } = req.body; const reason = req.body.reason === 'LOST' ? 'LOST' : 'RETURNED'; if (!user_id) return res.redirect('/edit-rfid?error=User ID missing.');
+    const connection = await dbPool.getConnection(); try { await connection.beginTransaction();
+        const released = await releaseCard(connection, user_id, reason, req.session.user.username); if (!released) { await connection.rollback(); return res.redirect(editRfidUrl(user_id, { error: `${user_id} has no card.` })); }
+        await recordAudit(connection, req, { action: reason === 'LOST' ? 'rfid.block' : 'rfid.return', entityType: 'rfid', entityId: user_id, before: { uid: released.uid, card_type: released.card_type }, after: { uid: null } });
+        await connection.commit(); res.redirect(editRfidUrl(user_id, { success: reason === 'LOST' ? `Card ${released.uid} blocked as lost.` : `Card ${released.uid} returned.` }));
+    } catch (error) { await connection.rollback(); console.error("RFID Release Error:", error); res.redirect(editRfidUrl(user_id, { error: 'Update failed.' })); } finally { connection.release(); }
+});
+app.post('/edit-rfid/unblock', requirePermission('rfid'), async (req, res) => {
+    const { user_id, history_id } = req.body;
+    try { const card = await inTransaction(dbPool, async (connection) => { const unblocked = await unblockCard(connection, history_id); if (unblocked) await recordAudit(connection, req, { action: 'rfid.unblock', entityType: 'rfid', entityId: unblocked.user_id, details: `Unblocked UID ${unblocked.uid}` }); return unblocked; });
+        if (!card) return res.redirect(editRfidUrl(user_id, { error: 'That card is not blocked.' })); res.redirect(editRfidUrl(user_id, { success: `Card ${card.uid} unblocked. It can be assigned again.` })); }
+    catch (error) { console.error("RFID Unblock Error:", error); res.redirect(editRfidUrl(user_id, { error: 'Update failed.' })); }
+});
+
+// User History Routes
+// Streaks walk every day of the range, so it is limited to a little over a year; null when the range is unusable
+const MAX_HISTORY_DAYS = 400;
+function getHistoryRange(query) {
+    const semester = getSemesterRange(new Date()); const isDate = (v) => /^\d{4}-\d{2}-\d{2}$/.test(v || '') && !Number.isNaN(parseISO(v).getTime());
+    const range = { from: isDate(query.from) ? query.from : semester.from, to: isDate(query.to) ? query.to : semester.to };
+    const days = differenceInCalendarDays(parseISO(range.to), parseISO(range.from));
+    return days >= 0 && days <= MAX_HISTORY_DAYS ? range : null;
+}
+const HISTORY_RANGE_ERROR = `Choose a date range of at most ${MAX_HISTORY_DAYS} days with the start before the end.`;
+app.get('/users/:userId/history', requirePermission('reports'), async (req, res) => {
+    const range = getHistoryRange(req.query); if (!range) return res.status(400).send(HISTORY_RANGE_ERROR);
+    try { const history = await getUserHistory(dbPool, req.params.userId, range); if (!history) return res.status(404).send('User not found.'); res.render('user-history', { history: history, semester: getSemesterRange(new Date()) }); }
+    catch (error) { console.error("User History Error:", error); res.status(500).send('Could not load attendance history.'); }
+});
+app.get('/users/:userId/history/export', requirePermission('reports'), async (req, res) => {
+    const range = getHistoryRange(req.query); if (!range) return res.status(400).send(HISTORY_RANGE_ERROR); const asPdf = req.query.format === 'pdf';
+    try { const history = await getUserHistory(dbPool, req.params.userId, range); if (!history) return res.status(404).send('User not found.');
+        const fileName = `Attendance_${String(history.user.user_id).replace(/[^\w.-]/g, '_')}_${range.from}_to_${range.to}`;
+        if (asPdf) { res.setHeader('Content-Type', 'application/pdf'); res.setHeader('Content-Disposition', `attachment; filename="${fileName}.pdf"`); return writeHistoryPdf(history, res); }
+        res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'); res.setHeader('Content-Disposition', `attachment; filename="${fileName}.xlsx"`); await buildHistoryWorkbook(history).xlsx.write(res); res.end();
+    } catch (error) { console.error("User History Export Error:", error); res.status(500).send('Failed to generate export.'); }
 });
 
 // Manage Programs Routes
-app.get('/manage-programs', isAuthenticated, async (req, res) => {
-    try { const [programs] = await dbPool.query('SELECT * FROM programs ORDER BY degree, branch_name'); res.render('manage-programs', { messages: req.query, programs: programs }); } catch (error) { console.error("Error fetching programs:", error); res.render('manage-programs', { messages: { error: 'Could not load programs.' }, programs: [] }); }
+const parseDuration = (value) => { const years = parseInt(value, 10); return Number.isNaN(years) ? null : years; };
+function programSaveError(error, { degree, branch_name, branch_code }) {
+    if (error.code !== 'ER_DUP_ENTRY') return null;
+    if (error.sqlMessage.includes('uk_program')) return `Duplicate Degree/Branch: ${degree}-${branch_name}.`;
+    if (error.sqlMessage.includes('branch_code')) return `Duplicate Code: ${branch_code}.`;
+    return 'Duplicate program.';
+}
+app.get('/manage-programs', requirePermission('programs'), async (req, res) => {
+    try { const [programs] = await dbPool.query("SELECT p.*, COUNT(u.user_id) AS student_count FROM programs p LEFT JOIN users u ON u.program_id = p.program_id AND u.is_active = 1 GROUP BY p.program_id ORDER BY p.is_active DESC, p.degree, p.branch_name"); res.render('manage-programs', { messages: req.query, programs: programs }); } catch (error) { console.error("Error fetching programs:", error); res.render('manage-programs', { messages: { error: 'Could not load programs.' }, programs: [] }); }
 });
-app.post('/manage-programs/add', isAuthenticated, async (req, res) => {
+app.post('/manage-programs/add', requirePermission('programs'), async (req, res) => {
     const { degree, branch_name, branch_code } = req.body; if (!degree || !branch_name || !branch_code) return res.redirect('/manage-programs?error=All fields required.');
-    try { await dbPool.query('INSERT INTO programs (degree, branch_name, branch_code) VALUES (?, ?, ?)', [degree.trim(), branch_name.trim(), branch_code.trim().toUpperCase()]); res.redirect('/manage-programs?success=Program added!'); } catch (error) { if (error.code === 'ER_DUP_ENTRY') { if (error.sqlMessage.includes('uk_program')) return res.redirect(`/manage-programs?error=Duplicate Degree/Branch: ${degree}-${branch_name}.`); else if (error.sqlMessage.includes('branch_code')) return res.redirect(`/manage-programs?error=Duplicate Code: ${branch_code}.`); } console.error("Error adding program:", error); res.redirect('/manage-programs?error=Failed.'); }
+    const program = { degree: degree.trim(), branch_name: branch_name.trim(), branch_code: branch_code.trim().toUpperCase(), duration_years: parseDuration(req.body.duration_years) };
+    if (program.duration_years !== null && (program.duration_years < 1 || program.duration_years > 6)) return res.redirect('/manage-programs?error=Duration must be 1 to 6 years.');
+    try { await inTransaction(dbPool, async (connection) => { const [result] = await connection.query('INSERT INTO programs (degree, branch_name, branch_code, duration_years) VALUES (?, ?, ?, ?)', [program.degree, program.branch_name, program.branch_code, program.duration_years]); await recordAudit(connection, req, { action: 'program.create', entityType: 'program', entityId: result.insertId, after: program }); }); res.redirect('/manage-programs?success=Program added!'); }
+    catch (error) { const message = programSaveError(error, program); if (message) return res.redirect(`/manage-programs?error=${encodeURIComponent(message)}`); console.error("Error adding program:", error); res.redirect('/manage-programs?error=Failed.'); }
+});
+app.post('/manage-programs/edit/:id', requirePermission('programs'), async (req, res) => {
+    const programId = req.params.id; const { degree, branch_name, branch_code } = req.body; if (!degree || !branch_name || !branch_code) return res.redirect('/manage-programs?error=All fields required.');
+    const program = { degree: degree.trim(), branch_name: branch_name.trim(), branch_code: branch_code.trim().toUpperCase(), duration_years: parseDuration(req.body.duration_years) };
+    if (program.duration_years !== null && (program.duration_years < 1 || program.duration_years > 6)) return res.redirect('/manage-programs?error=Duration must be 1 to 6 years.');
+    try { const [programRows] = await dbPool.query('SELECT degree, branch_name, branch_code, duration_years FROM programs WHERE program_id = ?', [programId]); if (programRows.length === 0) return res.redirect('/manage-programs?error=Not found.');
+        await inTransaction(dbPool, async (connection) => {
+            await connection.query('UPDATE programs SET degree = ?, branch_name = ?, branch_code = ?, duration_years = ? WHERE program_id = ?', [program.degree, program.branch_name, program.branch_code, program.duration_years, programId]);
+            await recordAudit(connection, req, { action: 'program.update', entityType: 'program', entityId: programId, before: programRows[0], after: program });
+        }); res.redirect('/manage-programs?success=Program updated!'); }
+    catch (error) { const message = programSaveError(error, program); if (message) return res.redirect(`/manage-programs?error=${encodeURIComponent(message)}`); console.error("Error updating program:", error); res.redirect('/manage-programs?error=Failed.'); }
+});
+// Inactive programs keep their students but are no longer offered for new students or imports
+app.post('/manage-programs/status/:id', requirePermission('programs'), async (req, res) => {
+    const programId = req.params.id; const isActive = req.body.is_active === '1' ? 1 : 0;
+    try { const found = await inTransaction(dbPool, async (connection) => { const [result] = await connection.query('UPDATE programs SET is_active = ? WHERE program_id = ?', [isActive, programId]); if (result.affectedRows === 0) return false;
+            await recordAudit(connection, req, { action: isActive ? 'program.activate' : 'program.deactivate', entityType: 'program', entityId: programId, after: { is_active: isActive } }); return true; });
+        if (!found) return res.redirect('/manage-programs?error=Not found.'); res.redirect(`/manage-programs?success=Program ${isActive ? 'reactivated' : 'deactivated'}.`); }
+    catch (error) { console.error("Error changing program status:", error); res.redirect('/manage-programs?error=Failed.'); }
+});
+app.post('/manage-programs/delete/:id', requirePermission('programs'), async (req, res) => {
+     const programId = req.params.id; try { const [studentCheck] = await dbPool.query('SELECT COUNT(*) as count FROM users WHERE program_id = ?', [programId]); if (studentCheck[0].count > 0) return res.redirect(`/manage-programs?error=Cannot delete: ${studentCheck[0].count} student(s) assigned.`); const found = await inTransaction(dbPool, async (connection) => { const [programRows] = await connection.query('SELECT * FROM programs WHERE program_id = ?', [programId]); const [result] = await connection.query('DELETE FROM programs WHERE program_id = ?', [programId]); if (result.affectedRows === 0) return false; await recordAudit(connection, req, { action: 'program.delete', entityType: 'program', entityId: programId, before: programRows[0] }); return true; }); if (!found) return res.redirect('/manage-programs?error=Not found.'); res.redirect('/manage-programs?success=Deleted!'); } catch (error) { console.error("Error deleting program:", error); if (error.code === 'ER_ROW_IS_REFERENCED_2') return res.redirect(`/manage-programs?error=Cannot delete: Referenced by users.`); res.redirect('/manage-programs?error=Failed.'); }
+});
+
+// Manage Departments Routes
+app.get('/manage-departments', requirePermission('programs'), async (req, res) => {
+    try { const [departments] = await dbPool.query("SELECT d.*, COUNT(u.user_id) AS faculty_count FROM departments d LEFT JOIN users u ON u.department_id = d.department_id AND u.is_active = 1 GROUP BY d.department_id ORDER BY d.is_active DESC, d.department_name"); res.render('manage-departments', { messages: req.query, departments: departments }); }
+    catch (error) { console.error("Error fetching departments:", error); res.render('manage-departments', { messages: { error: 'Could not load departments.' }, departments: [] }); }
+});
+// Faculty imports match departments by name, so names must stay unique regardless of case
+async function departmentNameTaken(name, exceptId) {
+    const [rows] = await dbPool.query('SELECT department_id FROM departments WHERE LOWER(department_name) = LOWER(?) AND department_id != ?', [name, exceptId || 0]); return rows.length > 0;
+}
+app.post('/manage-departments/add', requirePermission('programs'), async (req, res) => {
+    const department_name = (req.body.department_name || '').trim(); if (!department_name) return res.redirect('/manage-departments?error=Department name required.');
+    try { if (await departmentNameTaken(department_name)) return res.redirect(`/manage-departments?error=${encodeURIComponent(`Duplicate department: ${department_name}.`)}`);
+        await inTransaction(dbPool, async (connection) => { const [result] = await connection.query('INSERT INTO departments (department_name) VALUES (?)', [department_name]); await recordAudit(connection, req, { action: 'department.create', entityType: 'department', entityId: result.insertId, after: { department_name } }); }); res.redirect('/manage-departments?success=Department added!'); }
+    catch (error) { if (error.code === 'ER_DUP_ENTRY') return res.redirect(`/manage-departments?error=${encodeURIComponent(`Duplicate department: ${department_name}.`)}`); console.error("Error adding department:", error); res.redirect('/manage-departments?error=Failed.'); }
+});
+app.post('/manage-departments/edit/:id', requirePermission('programs'), async (req, res) => {
+    const departmentId = req.params.id; const department_name = (req.body.department_name || '').trim(); if (!department_name) return res.redirect('/manage-departments?error=Department name required.');
+    try { const [departmentRows] = await dbPool.query('SELECT department_name FROM departments WHERE department_id = ?', [departmentId]); if (departmentRows.length === 0) return res.redirect('/manage-departments?error=Not found.');
+        if (await departmentNameTaken(department_name, departmentId)) return res.redirect(`/manage-departments?error=${encodeURIComponent(`Duplicate department: ${department_name}.`)}`);
+        await inTransaction(dbPool, async (connection) => { await connection.query('UPDATE departments SET department_name = ? WHERE department_id = ?', [department_name, departmentId]); await recordAudit(connection, req, { action: 'department.update', entityType: 'department', entityId: departmentId, before: departmentRows[0], after: { department_name } }); }); res.redirect('/manage-departments?success=Department renamed!'); }
+    catch (error) { console.error("Error updating department:", error); res.redirect('/manage-departments?error=Failed.'); }
+});
+app.post('/manage-departments/status/:id', requirePermission('programs'), async (req, res) => {
+    const departmentId = req.params.id; const isActive = req.body.is_active === '1' ? 1 : 0;
+    try { const found = await inTransaction(dbPool, async (connection) => { const [result] = await connection.query('UPDATE departments SET is_active = ? WHERE department_id = ?', [isActive, departmentId]); if (result.affectedRows === 0) return false;
+            await recordAudit(connection, req, { action: isActive ? 'department.activate' : 'department.deactivate', entityType: 'department', entityId: departmentId, after: { is_active: isActive } }); return true; });
+        if (!found) return res.redirect('/manage-departments?error=Not found.'); res.redirect(`/manage-departments?success=Department ${isActive ? 'reactivated' : 'deactivated'}.`); }
+    catch (error) { console.error("Error changing department status:", error); res.redirect('/manage-departments?error=Failed.'); }
+});
+app.post('/manage-departments/delete/:id', requirePermission('programs'), async (req, res) => {
+    const departmentId = req.params.id; try { const [facultyCheck] = await dbPool.query('SELECT COUNT(*) as count FROM users WHERE department_id = ?', [departmentId]); if (facultyCheck[0].count > 0) return res.redirect(`/manage-departments?error=Cannot delete: ${facultyCheck[0].count} user(s) assigned. Deactivate it instead.`);
+        const found = await inTransaction(dbPool, async (connection) => { const [departmentRows] = await connection.query('SELECT * FROM departments WHERE department_id = ?', [departmentId]); const [result] = await connection.query('DELETE FROM departments WHERE department_id = ?', [departmentId]); if (result.affectedRows === 0) return false;
+            await recordAudit(connection, req, { action: 'department.delete', entityType: 'department', entityId: departmentId, before: departmentRows[0] }); return true; });
+        if (!found) return res.redirect('/manage-departments?error=Not found.'); res.redirect('/manage-departments?success=Deleted!'); }
+    catch (error) { console.error("Error deleting department:", error); if (error.code === 'ER_ROW_IS_REFERENCED_2') return res.redirect('/manage-departments?error=Cannot delete: Referenced by users.'); res.redirect('/manage-departments?error=Failed.'); }
 });
-app.post('/manage-programs/delete/:id', isAuthenticated, async (req, res) => {
-     const programId = req.params.id; try { const [studentCheck] = await dbPool.query('SELECT COUNT(*) as count FROM users WHERE program_id = ?', [programId]); if (studentCheck[0].count > 0) return res.redirect(`/manage-programs?error=Cannot delete: ${studentCheck[0].count} student(s) assigned.`); const [result] = await dbPool.query('DELETE FROM programs WHERE program_id = ?', [programId]); if (result.affectedRows > 0) res.redirect('/manage-programs?success=Deleted!'); else res.redirect('/manage-programs?error=Not found.'); } catch (error) { console.error("Error deleting program:", error); if (error.code === 'ER_ROW_IS_REFERENCED_2') return res.redirect(`/manage-programs?error=Cannot delete: Referenced by users.`); res.redirect('/manage-programs?error=Failed.'); }
+
+// Scan Anomaly Routes
+app.get('/anomalies', requirePermission('anomalies'), async (req, res) => {
+    const status = req.query.status || 'OPEN'; const params = []; let where = '';
+    if (status !== 'ALL') { where = 'WHERE a.status = ?'; params.push(status); }
+    try { const [anomalies] = await dbPool.query(`SELECT a.*, u.user_name, u.user_type, al.login_time AS open_login_time, al.logout_time AS open_logout_time FROM scan_anomalies a LEFT JOIN users u ON a.user_id = u.user_id LEFT JOIN attendance_log al ON a.open_log_id = al.log_id ${where} ORDER BY a.scan_date DESC, a.scan_time DESC LIMIT 500`, params); res.render('anomalies', { messages: req.query, anomalies: anomalies, status: status }); }
+    catch (error) { console.error("Error fetching anomalies:", error); res.render('anomalies', { messages: { error: 'Could not load anomalies.' }, anomalies: [], status: status }); }
+});
+app.post('/anomalies/:id/resolve', requirePermission('anomalies'), async (req, res) => {
+    const anomalyId = req.params.id; const { action, note } = req.body; if (action !== 'apply' && action !== 'dismiss') return res.redirect('/anomalies?error=Unknown action.');
+    const loginTime = normalizeTime(req.body.login_time);
+    const connection = await dbPool.getConnection(); try { await connection.beginTransaction();
+        const [rows] = await connection.query("SELECT * FROM scan_anomalies WHERE anomaly_id = ? AND status = 'OPEN' FOR UPDATE", [anomalyId]); if (rows.length === 0) throw new Error('Anomaly not found or already handled.');
+        const anomaly = rows[0];
+        if (action === 'apply' && anomaly.anomaly_type === 'ENTRY_WHILE_INSIDE') {
+            // The scan was a missed exit followed by a new entry: split the open visit at the scan time
+            const [logRows] = await connection.query('SELECT * FROM attendance_log WHERE log_id = ? FOR UPDATE', [anomaly.open_log_id]); if (logRows.length === 0) throw new Error('The visit this scan conflicted with no longer exists.');
+            const visit = logRows[0]; if (visit.logout_time && visit.logout_time <= anomaly.scan_time) throw new Error('That visit already ended before this scan.');
+            await connection.query("UPDATE attendance_log SET logout_time = ?, logout_reader_id = NULL, logout_source = 'REVIEW' WHERE log_id = ?", [anomaly.scan_time, visit.log_id]);
+            await connection.query('INSERT INTO attendance_log (user_id, log_date, login_time, logout_time, login_reader_id, logout_reader_id, logout_source) VALUES (?, ?, ?, ?, ?, ?, ?)', [visit.user_id, visit.log_date, anomaly.scan_time, visit.logout_time, anomaly.reader_id, visit.logout_reader_id, visit.logout_source]);
+        } else if (action === 'apply') {
+            // The entry scan was missed: record the visit with the entry time supplied by the reviewer
+            if (!loginTime || loginTime >= anomaly.scan_time) throw new Error('Enter an entry time earlier than the exit scan.');
+            await connection.query("INSERT INTO attendance_log (user_id, log_date, login_time, logout_time, logout_reader_id, logout_source) VALUES (?, ?, ?, ?, ?, 'SCAN')", [anomaly.user_id, anomaly.scan_date, loginTime, anomaly.scan_time, anomaly.reader_id]);
+        }
+        await connection.query('UPDATE scan_anomalies SET status = ?, resolution_note = ?, resolved_by = ?, resolved_at = NOW() WHERE anomaly_id = ?', [action === 'apply' ? 'RESOLVED' : 'DISMISSED', note || null, req.session.user.username, anomalyId]);
+        await recordAudit(connection, req, { action: `anomaly.${action}`, entityType: 'anomaly', entityId: anomalyId, before: anomaly, after: { status: action === 'apply' ? 'RESOLVED' : 'DISMISSED', note: note || null, login_time: action === 'apply' && anomaly.anomaly_type === 'EXIT_WITHOUT_ENTRY' ? loginTime : undefined } });
+        await connection.commit(); if (action === 'apply') reloadOccupancy(); res.redirect(`/anomalies?success=${action === 'apply' ? 'Visit corrected' : 'Anomaly dismissed'}.`);
+    } catch (error) { await connection.rollback(); console.error("Anomaly Resolve Error:", error); res.redirect(`/anomalies?error=${encodeURIComponent(error.message || 'Resolve failed.')}`); } finally { connection.release(); }
+});
+
+// Offline Scan Journal Routes: what is still waiting and what became of scans replayed after an outage.
+// Pending entries come from the journal itself, so this page still works while the database is down.
+const SCAN_REPLAY_RESULTS = ['REPLAYED', 'FAILED'];
+app.get('/scan-journal', requirePermission('anomalies'), async (req, res) => {
+    const result = SCAN_REPLAY_RESULTS.includes(req.query.result) ? req.query.result : 'ALL'; const journal = scanJournal.getStatus(); const pending = scanJournal.getPending();
+    try { const [replays] = await dbPool.query(`SELECT r.*, u.user_name FROM scan_replays r LEFT JOIN users u ON r.user_id = u.user_id ${result === 'ALL' ? '' : 'WHERE r.result = ?'} ORDER BY r.scanned_at DESC LIMIT 500`, result === 'ALL' ? [] : [result]); res.render('scan-journal', { messages: req.query, journal: journal, pending: pending, replays: replays, result: result }); }
+    catch (error) { console.error("Error fetching scan replays:", error); res.render('scan-journal', { messages: { error: 'Could not load replayed scans. The database may be unavailable.' }, journal: journal, pending: pending, replays: [], result: result }); }
+});
+
+// Occupancy Routes: who is inside right now, force-logout, reading room capacity
+app.get('/occupancy', requirePermission('occupancy'), (req, res) => {
+    res.render('occupancy', { messages: req.query, snapshot: occupancy.getSnapshot(), inside: occupancy.getInside(), settings: occupancy.getSettings() });
+});
+app.post('/occupancy/logout', requirePermission('occupancy'), async (req, res) => {
+    const everyone = req.body.all === '1'; const userIds = [].concat(req.body.user_ids || []).filter(Boolean);
+    if (!everyone && userIds.length === 0) return res.redirect('/occupancy?error=Select at least one person.');
+    const now = new Date(); const today = format(now, 'yyyy-MM-dd'); const currentTime = format(now, 'HH:mm:ss');
+    const connection = await dbPool.getConnection(); try { await connection.beginTransaction();
+        const [openRows] = await connection.query(`SELECT log_id, user_id, login_time FROM attendance_log WHERE log_date = ? AND logout_time IS NULL${everyone ? '' : ' AND user_id IN (?)'} FOR UPDATE`, everyone ? [today] : [today, userIds]);
+        if (openRows.length === 0) throw new Error('Nobody selected is inside.');
+        await connection.query("UPDATE attendance_log SET logout_time = GREATEST(login_time, ?), logout_reader_id = NULL, logout_source = 'FORCED' WHERE log_id IN (?)", [currentTime, openRows.map(r => r.log_id)]);
+        await recordAudit(connection, req, { action: 'attendance.force_logout', entityType: 'attendance', entityId: everyone ? 'all' : openRows.map(r => r.user_id).join(',').slice(0, 100), before: { open_visits: openRows }, after: { logout_time: currentTime, logout_source: 'FORCED' }, details: `${openRows.length} visit(s) closed by staff` });
+        await connection.commit(); openRows.forEach(r => occupancy.leave(r.user_id)); res.redirect(`/occupancy?success=Logged out ${openRows.length} ${openRows.length === 1 ? 'person' : 'people'}.`);
+    } catch (error) { await connection.rollback(); console.error("Force Logout Error:", error); res.redirect(`/occupancy?error=${encodeURIComponent(error.message || 'Force logout failed.')}`); } finally { connection.release(); }
+});
+app.post('/occupancy/capacity', requirePermission('settings'), async (req, res) => {
+    const settings = { reading_room_capacity: parseInt(req.body.reading_room_capacity, 10), occupancy_warning_percent: parseInt(req.body.occupancy_warning_percent, 10), occupancy_full_percent: parseInt(req.body.occupancy_full_percent, 10) };
+    if (Object.values(settings).some(v => Number.isNaN(v) || v < 0)) return res.redirect('/occupancy?error=Enter whole numbers of 0 or more.');
+    if (settings.occupancy_warning_percent > settings.occupancy_full_percent) return res.redirect('/occupancy?error=The warning level must not be above the full level.');
+    try { await inTransaction(dbPool, async (connection) => { const before = await loadCapacitySettings(connection); await saveCapacitySettings(connection, settings, req.session.user.username);
+            await recordAudit(connection, req, { action: 'settings.capacity', entityType: 'settings', entityId: 'capacity', before, after: settings }); });
+        occupancy.setSettings(settings); res.redirect('/occupancy?success=Capacity settings saved.');
+    } catch (error) { console.error("Capacity Settings Error:", error); res.redirect('/occupancy?error=Could not save settings.'); }
+});
+
+// Library Calendar Routes
+app.get('/library-calendar', requirePermission('calendar'), async (req, res) => {
+    try {
+        const [hoursRows] = await dbPool.query('SELECT * FROM library_hours ORDER BY weekday'); const [exceptions] = await dbPool.query('SELECT * FROM library_calendar_exceptions ORDER BY start_date DESC LIMIT 200');
+        const today = await getScheduleForDate(dbPool, format(new Date(), 'yyyy-MM-dd'));
+        res.render('library-calendar', { messages: req.query, hours: hoursRows, exceptions: exceptions, today: today, weekdayNames: WEEKDAY_NAMES, graceMinutes: AUTO_LOGOUT_GRACE_MINUTES });
+    } catch (error) { console.error("Error fetching calendar:", error); res.render('library-calendar', { messages: { error: 'Could not load calendar.' }, hours: [], exceptions: [], today: null, weekdayNames: WEEKDAY_NAMES, graceMinutes: AUTO_LOGOUT_GRACE_MINUTES }); }
+});
+app.post('/library-calendar/hours', requirePermission('calendar'), async (req, res) => {
+    const rows = [];
+    for (let weekday = 0; weekday < 7; weekday++) {
+        const isClosed = req.body[`closed_${weekday}`] ? 1 : 0; const openTime = normalizeTime(req.body[`open_time_${weekday}`]); const closeTime = normalizeTime(req.body[`close_time_${weekday}`]);
+        if (!openTime || !closeTime) return res.redirect(`/library-calendar?error=Hours missing for ${WEEKDAY_NAMES[weekday]}.`);
+        if (!isClosed && closeTime <= openTime) return res.redirect(`/library-calendar?error=${WEEKDAY_NAMES[weekday]} closes before it opens.`);
+        rows.push([weekday, isClosed, openTime, closeTime]);
+    }
+    try { await inTransaction(dbPool, async (connection) => { const [previousHours] = await connection.query('SELECT * FROM library_hours ORDER BY weekday'); await connection.query('INSERT INTO library_hours (weekday, is_closed, open_time, close_time) VALUES ? ON DUPLICATE KEY UPDATE is_closed = VALUES(is_closed), open_time = VALUES(open_time), close_time = VALUES(close_time)', [rows]);
+            await recordAudit(connection, req, { action: 'calendar.hours.update', entityType: 'calendar', entityId: 'weekly', before: previousHours, after: rows.map(([weekday, is_closed, open_time, close_time]) => ({ weekday, is_closed, open_time, close_time })) }); });
+        calendarChanged(); res.redirect('/library-calendar?success=Weekly hours saved!'); }
+    catch (error) { console.error("Error saving hours:", error); res.redirect('/library-calendar?error=Failed.'); }
+});
+app.post('/library-calendar/exceptions/add', requirePermission('calendar'), async (req, res) => {
+    const { start_date, exception_type, description } = req.body; const end_date = req.body.end_date || start_date; const openTime = normalizeTime(req.body.open_time); const closeTime = normalizeTime(req.body.close_time);
+    if (!start_date || (exception_type !== 'CLOSED' && exception_type !== 'SPECIAL')) return res.redirect('/library-calendar?error=Date and type are required.');
+    if (end_date < start_date) return res.redirect('/library-calendar?error=End date is before start date.');
+    if (exception_type === 'SPECIAL' && (!openTime || !closeTime || closeTime <= openTime)) return res.redirect('/library-calendar?error=Special sessions need an opening time before the closing time.');
+    const entry = { start_date, end_date, exception_type, open_time: exception_type === 'SPECIAL' ? openTime : null, close_time: exception_type === 'SPECIAL' ? closeTime : null, description: description ? description.trim() : null };
+    try { await inTransaction(dbPool, async (connection) => { const [result] = await connection.query('INSERT INTO library_calendar_exceptions (start_date, end_date, exception_type, open_time, close_time, description, created_by) VALUES (?, ?, ?, ?, ?, ?, ?)', [entry.start_date, entry.end_date, entry.exception_type, entry.open_time, entry.close_time, entry.description, req.session.user.username]); await recordAudit(connection, req, { action: 'calendar.exception.create', entityType: 'calendar', entityId: result.insertId, after: entry }); });
+        calendarChanged(); res.redirect('/library-calendar?success=Calendar entry added!'); }
+    catch (error) { console.error("Error adding calendar entry:", error); res.redirect('/library-calendar?error=Failed.'); }
+});
+app.post('/library-calendar/exceptions/delete/:id', requirePermission('calendar'), async (req, res) => {
+    try { const found = await inTransaction(dbPool, async (connection) => { const [entryRows] = await connection.query('SELECT * FROM library_calendar_exceptions WHERE exception_id = ?', [req.params.id]); const [result] = await connection.query('DELETE FROM library_calendar_exceptions WHERE exception_id = ?', [req.params.id]); if (result.affectedRows === 0) return false; await recordAudit(connection, req, { action: 'calendar.exception.delete', entityType: 'calendar', entityId: req.params.id, before: entryRows[0] }); return true; });
+        if (!found) return res.redirect('/library-calendar?error=Not found.'); calendarChanged(); res.redirect('/library-calendar?success=Deleted!'); }
+    catch (error) { console.error("Error deleting calendar entry:", error); res.redirect('/library-calendar?error=Failed.'); }
+});
+
+// Own Password Route (any logged-in account)
+app.get('/account/password', isAuthenticated, (req, res) => {
+    res.render('change-password', { messages: req.query, minLength: MIN_PASSWORD_LENGTH });
+});
+app.post('/account/password', isAuthenticated, async (req, res) => {
+    const { current_password, new_password, confirm_password } = req.body; const username = req.session.user.username;
+    if (!new_password || new_password.length < MIN_PASSWORD_LENGTH) return res.redirect(`/account/password?error=New password must be at least ${MIN_PASSWORD_LENGTH} characters.`);
+    if (new_password !== confirm_password) return res.redirect('/account/password?error=Passwords do not match.');
+    try {
+        const [rows] = await dbPool.query('SELECT password FROM credentials WHERE username = ?', [username]); if (rows.length === 0) return res.redirect('/account/password?error=Account not found.');
+        const { ok } = await verifyPassword(current_password || '', rows[0].password); if (!ok) return res.redirect('/account/password?error=Current password is incorrect.');
+        const passwordHash = await hashPassword(new_password);
+        await inTransaction(dbPool, async (connection) => {
+            await connection.query('UPDATE credentials SET password = ?, must_change_password = 0 WHERE username = ?', [passwordHash, username]);
+            await recordAudit(connection, req, { action: 'account.password_change', entityType: 'account', entityId: username });
+        });
+        forgetAccount(username); req.session.user.mustChangePassword = false; res.redirect('/home');
+    } catch (error) { console.error("Password change error:", error); res.redirect('/account/password?error=Failed.'); }
+});
+
+// Credential Account Management Routes
+app.get('/accounts', requirePermission('accounts'), async (req, res) => {
+    try { const [accounts] = await dbPool.query('SELECT c.username, c.role, c.user_id, c.is_active, c.last_login_at, c.must_change_password, (c.locked_until IS NOT NULL AND c.locked_until > NOW()) AS is_locked, u.user_name FROM credentials c LEFT JOIN users u ON c.user_id = u.user_id ORDER BY c.username'); res.render('manage-accounts', { messages: req.query, accounts: accounts, roles: ROLES, minLength: MIN_PASSWORD_LENGTH }); }
+    catch (error) { console.error("Error fetching accounts:", error); res.render('manage-accounts', { messages: { error: 'Could not load accounts.' }, accounts: [], roles: ROLES, minLength: MIN_PASSWORD_LENGTH }); }
+});
+app.post('/accounts/create', requirePermission('accounts'), async (req, res) => {
+    const { username, password, role, user_id } = req.body; if (!username || !password || !ROLES.includes(role)) return res.redirect('/accounts?error=Username, password and role are required.');
+    if (password.length < MIN_PASSWORD_LENGTH) return res.redirect(`/accounts?error=Password must be at least ${MIN_PASSWORD_LENGTH} characters.`);
+    try { const passwordHash = await hashPassword(password);
+        await inTransaction(dbPool, async (connection) => { await connection.query('INSERT INTO credentials (username, password, role, user_id, must_change_password) VALUES (?, ?, ?, ?, 1)', [username.trim(), passwordHash, role, user_id ? user_id.trim() : null]); await recordAudit(connection, req, { action: 'account.create', entityType: 'account', entityId: username.trim(), after: { role, user_id: user_id ? user_id.trim() : null } }); }); res.redirect(`/accounts?success=Account ${username.trim()} created!`); }
+    catch (error) { if (error.code === 'ER_DUP_ENTRY') return res.redirect(`/accounts?error=Username ${username} already exists.`); if (error.code === 'ER_NO_REFERENCED_ROW_2') return res.redirect(`/accounts?error=User ID ${user_id} does not exist.`); console.error("Error creating account:", error); res.redirect('/accounts?error=Failed.'); }
+});
+app.post('/accounts/:username/role', requirePermission('accounts'), async (req, res) => {
+    const { username } = req.params; const { role } = req.body; if (!ROLES.includes(role)) return res.redirect('/accounts?error=Unknown role.');
+    if (username === req.session.user.username) return res.redirect('/accounts?error=You cannot change your own role.');
+    try { const [accountRows] = await dbPool.query('SELECT role FROM credentials WHERE username = ?', [username]); if (accountRows.length === 0) return res.redirect('/accounts?error=Not found.');
+        await inTransaction(dbPool, async (connection) => { await connection.query('UPDATE credentials SET role = ? WHERE username = ?', [role, username]); await recordAudit(connection, req, { action: 'account.role', entityType: 'account', entityId: username, before: { role: accountRows[0].role }, after: { role } }); }); forgetAccount(username); res.redirect(`/accounts?success=${username} is now ${role}.`); }
+    catch (error) { console.error("Error changing role:", error); res.redirect('/accounts?error=Failed.'); }
+});
+app.post('/accounts/:username/status', requirePermission('accounts'), async (req, res) => {
+    const { username } = req.params; const isActive = req.body.is_active === '1' ? 1 : 0;
+    if (username === req.session.user.username && !isActive) return res.redirect('/accounts?error=You cannot disable your own account.');
+    try { const [accountRows] = await dbPool.query('SELECT is_active, locked_until FROM credentials WHERE username = ?', [username]); if (accountRows.length === 0) return res.redirect('/accounts?error=Not found.');
+        await inTransaction(dbPool, async (connection) => { await connection.query('UPDATE credentials SET is_active = ?, failed_attempts = 0, locked_until = NULL WHERE username = ?', [isActive, username]); await recordAudit(connection, req, { action: isActive ? 'account.enable' : 'account.disable', entityType: 'account', entityId: username, before: accountRows[0], after: { is_active: isActive, locked_until: null } }); }); forgetAccount(username); res.redirect(`/accounts?success=${username} ${isActive ? 'enabled' : 'disabled'}.`); }
+    catch (error) { console.error("Error changing account status:", error); res.redirect('/accounts?error=Failed.'); }
+});
+app.post('/accounts/:username/reset-password', requirePermission('accounts'), async (req, res) => {
+    const { username } = req.params; const { new_password } = req.body;
+    if (!new_password || new_password.length < MIN_PASSWORD_LENGTH) return res.redirect(`/accounts?error=Password must be at least ${MIN_PASSWORD_LENGTH} characters.`);
+    try { const passwordHash = await hashPassword(new_password);
+        const found = await inTransaction(dbPool, async (connection) => { const [result] = await connection.query('UPDATE credentials SET password = ?, must_change_password = 1, failed_attempts = 0, locked_until = NULL WHERE username = ?', [passwordHash, username]); if (result.affectedRows === 0) return false; await recordAudit(connection, req, { action: 'account.password_reset', entityType: 'account', entityId: username }); return true; });
+        if (!found) return res.redirect('/accounts?error=Not found.'); forgetAccount(username); res.redirect(`/accounts?success=Password reset for ${username}. They must change it at next login.`); }
+    catch (error) { console.error("Error resetting password:", error); res.redirect('/accounts?error=Failed.'); }
+});
+
+// API Access Routes: tokens for /api/v1 and scan webhooks. New token values and webhook secrets are
+// rendered once on the response to the create request and cannot be shown again.
+async function renderApiAccess(res, messages, created) {
+    try { const tokens = await listApiTokens(dbPool); const hooks = await listWebhooks(dbPool); res.render('api-access', { messages: messages, tokens: tokens, webhooks: hooks, scopes: API_SCOPES, statuses: SCAN_STATUSES, created: created || null }); }
+    catch (error) { console.error("Error fetching API access:", error); res.render('api-access', { messages: { error: 'Could not load API tokens.' }, tokens: [], webhooks: [], scopes: API_SCOPES, statuses: SCAN_STATUSES, created: null }); }
+}
+const toList = (value) => value === undefined ? [] : [].concat(value);
+app.get('/api-access', requirePermission('api'), (req, res) => renderApiAccess(res, req.query));
+app.post('/api-access/tokens', requirePermission('api'), async (req, res) => {
+    const name = (req.body.name || '').trim(); const scopes = toList(req.body.scopes).filter(s => API_SCOPES[s]); const expiresInDays = parseInt(req.body.expires_in_days, 10) || 0;
+    if (!name || name.length > 100) return res.redirect('/api-access?error=Give the token a name of up to 100 characters.');
+    if (scopes.length === 0) return res.redirect('/api-access?error=Select at least one scope.');
+    if (expiresInDays < 0 || expiresInDays > 3650) return res.redirect('/api-access?error=Expiry must be between 0 (never) and 3650 days.');
+    try { const { token } = await inTransaction(dbPool, async (connection) => { const created = await createApiToken(connection, { name, scopes, expiresInDays }, req.session.user.username);
+            await recordAudit(connection, req, { action: 'api_token.create', entityType: 'api_token', entityId: created.tokenId, after: { name, scopes, expires_in_days: expiresInDays || null } }); return created; });
+        renderApiAccess(res, { success: `Token "${name}" created. Copy it now; it will not be shown again.` }, { label: 'API token', value: token });
+    } catch (error) { console.error("Error creating API token:", error); res.redirect('/api-access?error=Failed.'); }
+});
+app.post('/api-access/tokens/:id/revoke', requirePermission('api'), async (req, res) => {
+    try { const revoked = await inTransaction(dbPool, async (connection) => { if (!await revokeApiToken(connection, req.params.id, req.session.user.username)) return false;
+            await recordAudit(connection, req, { action: 'api_token.revoke', entityType: 'api_token', entityId: req.params.id }); return true; });
+        if (!revoked) return res.redirect('/api-access?error=Not found or already revoked.'); res.redirect('/api-access?success=Token revoked.'); }
+    catch (error) { console.error("Error revoking API token:", error); res.redirect('/api-access?error=Failed.'); }
+});
+app.post('/api-access/webhooks', requirePermission('api'), async (req, res) => {
+    const url = (req.body.url || '').trim(); const statuses = toList(req.body.statuses).filter(s => SCAN_STATUSES.includes(s));
+    let parsed = null; try { parsed = new URL(url); } catch (error) { parsed = null; }
+    if (!parsed || !['http:', 'https:'].includes(parsed.protocol) || url.length > 500) return res.redirect('/api-access?error=Enter a valid http(s) URL.');
+    try { const { secret } = await inTransaction(dbPool, async (connection) => { const created = await createWebhook(connection, { url, statuses }, req.session.user.username);
+            await recordAudit(connection, req, { action: 'webhook.create', entityType: 'webhook', entityId: created.webhookId, after: { url, statuses } }); return created; });
+        webhooks.reload();
+        renderApiAccess(res, { success: 'Webhook added. Copy the signing secret now; it will not be shown again.' }, { label: 'Webhook signing secret', value: secret });
+    } catch (error) { console.error("Error adding webhook:", error); res.redirect('/api-access?error=Failed.'); }
+});
+app.post('/api-access/webhooks/:id/status', requirePermission('api'), async (req, res) => {
+    const isActive = req.body.is_active === '1' ? 1 : 0;
+    try { const found = await inTransaction(dbPool, async (connection) => { const [result] = await connection.query('UPDATE webhooks SET is_active = ? WHERE webhook_id = ?', [isActive, req.params.id]); if (result.affectedRows === 0) return false;
+            await recordAudit(connection, req, { action: isActive ? 'webhook.enable' : 'webhook.disable', entityType: 'webhook', entityId: req.params.id, after: { is_active: isActive } }); return true; });
+        if (!found) return res.redirect('/api-access?error=Not found.'); webhooks.reload(); res.redirect(`/api-access?success=Webhook ${isActive ? 'enabled' : 'disabled'}.`); }
+    catch (error) { console.error("Error changing webhook status:", error); res.redirect('/api-access?error=Failed.'); }
+});
+app.post('/api-access/webhooks/:id/delete', requirePermission('api'), async (req, res) => {
+    try { const [hookRows] = await dbPool.query('SELECT url, statuses, is_active FROM webhooks WHERE webhook_id = ?', [req.params.id]); if (hookRows.length === 0) return res.redirect('/api-access?error=Not found.');
+        await inTransaction(dbPool, async (connection) => { await connection.query('DELETE FROM webhooks WHERE webhook_id = ?', [req.params.id]); await recordAudit(connection, req, { action: 'webhook.delete', entityType: 'webhook', entityId: req.params.id, before: hookRows[0] }); });
+        webhooks.reload(); res.redirect('/api-access?success=Webhook deleted.'); }
+    catch (error) { console.error("Error deleting webhook:", error); res.redirect('/api-access?error=Failed.'); }
+});
+app.post('/api-access/webhooks/:id/test', requirePermission('api'), async (req, res) => {
+    try { const result = await webhooks.sendTest(req.params.id); if (!result) return res.redirect('/api-access?error=Not found.');
+        res.redirect(result.ok ? `/api-access?success=Test delivered (${result.status}).` : `/api-access?error=${encodeURIComponent(`Test failed: ${result.status}`)}`); }
+    catch (error) { console.error("Webhook test error:", error); res.redirect('/api-access?error=Failed.'); }
+});
+
+// Audit Log Routes
+const AUDIT_PAGE_SIZE = 50; const AUDIT_EXPORT_LIMIT = 50000;
+app.get('/audit', requirePermission('audit'), async (req, res) => {
+    const filters = req.query; const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    try { const { total, rows } = await searchAudit(dbPool, filters, { limit: AUDIT_PAGE_SIZE, offset: (page - 1) * AUDIT_PAGE_SIZE }); const facets = await getAuditFacets(dbPool); res.render('audit-log', { messages: {}, entries: rows, total: total, page: page, pageCount: Math.max(1, Math.ceil(total / AUDIT_PAGE_SIZE)), filters: filters, facets: facets }); }
+    catch (error) { console.error("Error fetching audit log:", error); res.render('audit-log', { messages: { error: 'Could not load audit log.' }, entries: [], total: 0, page: 1, pageCount: 1, filters: filters, facets: { actions: [], entityTypes: [], actors: [] } }); }
+});
+app.get('/audit/export', requirePermission('audit'), async (req, res) => {
+    try { const { rows } = await searchAudit(dbPool, req.query, { limit: AUDIT_EXPORT_LIMIT, offset: 0 }); const workbook = new ExcelJS.Workbook(); const worksheet = workbook.addWorksheet('Audit Log');
+        worksheet.columns = [{ header: 'When', key: 'occurred_at', width: 20 }, { header: 'User', key: 'actor_username', width: 18 }, { header: 'Role', key: 'actor_role', width: 12 }, { header: 'Action', key: 'action', width: 24 }, { header: 'Entity', key: 'entity_type', width: 12 }, { header: 'Entity ID', key: 'entity_id', width: 18 }, { header: 'Details', key: 'details', width: 30 }, { header: 'Before', key: 'before_json', width: 50 }, { header: 'After', key: 'after_json', width: 50 }, { header: 'IP Address', key: 'ip_address', width: 16 }];
+        rows.forEach(row => worksheet.addRow(row));
+        res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'); res.setHeader('Content-Disposition', `attachment; filename="Audit_Log_${format(new Date(), 'yyyy-MM-dd')}.xlsx"`); await workbook.xlsx.write(res); res.end();
+    } catch (error) { console.error("Audit export error:", error); res.status(500).send("Failed to generate Excel file."); }
 });
 
 // --- Scheduled Tasks ---
-async function autoLogoutCurrentDay() { const today = format(new Date(), 'yyyy-MM-dd'); const logoutTime = '19:00:00'; try { const [result] = await dbPool.query(`UPDATE attendance_log SET logout_time = ? WHERE log_date = ? AND logout_time IS NULL`, [logoutTime, today]); if (result.affectedRows > 0) console.log(`Auto-logged out ${result.affectedRows} for ${today}.`); } catch (error) { console.error('Auto-logout error:', error); } }
-async function cleanupPreviousDays() { const today = format(new Date(), 'yyyy-MM-dd'); const logoutTime = '19:00:00'; try { const [result] = await dbPool.query(`UPDATE attendance_log SET logout_time = ? WHERE log_date < ? AND logout_time IS NULL`, [logoutTime, today]); if (result.affectedRows > 0) console.log(`Startup Cleanup: Logged out ${result.affectedRows} prev days.`); } catch (error) { console.error('Cleanup error:', error); } }
-cron.schedule('5 19 * * *', () => { console.log('Running daily auto-logout...'); autoLogoutCurrentDay(); }, { scheduled: true, timezone: "Asia/Kolkata" });
+// Open visits are closed at the day's closing time and flagged SYSTEM so reports can tell them from real exits
+// Once it has run for a day nothing can open a visit until the calendar changes or buffered scans are replayed,
+// so later ticks skip the UPDATE; both of those clear autoLogoutDoneFor.
+let autoLogoutDoneFor = null;
+function calendarChanged() { clearScheduleCache(); autoLogoutDoneFor = null; }
+async function autoLogoutCurrentDay() {
+    const now = new Date(); const today = format(now, 'yyyy-MM-dd');
+    if (autoLogoutDoneFor === today) return;
+    if (scanJournal.isBuffering()) return; // buffered exits must be replayed first or they would come back as new visits
+    try {
+        const { schedule, autoLogoutDue } = await getLibraryStatus(dbPool, now); if (!autoLogoutDue) return;
+        const logoutTime = schedule.isOpen ? schedule.closeTime : format(now, 'HH:mm:ss'); // closed all day: an admin closed it after people came in
+        const [result] = await dbPool.query(`UPDATE attendance_log SET logout_time = GREATEST(login_time, ?), logout_source = 'SYSTEM' WHERE log_date = ? AND logout_time IS NULL`, [logoutTime, today]);
+        autoLogoutDoneFor = today;
+        if (result.affectedRows > 0) { console.log(`Auto-logged out ${result.affectedRows} for ${today} at ${logoutTime}.`); await reloadOccupancy(); }
+    } catch (error) { console.error('Auto-logout error:', error); }
+}
+async function cleanupPreviousDays() {
+    const today = format(new Date(), 'yyyy-MM-dd');
+    try {
+        const [dates] = await dbPool.query(`SELECT DISTINCT log_date FROM attendance_log WHERE log_date < ? AND logout_time IS NULL`, [today]); let total = 0;
+        for (const { log_date } of dates) { const schedule = await getScheduleForDate(dbPool, log_date); const [result] = await dbPool.query(`UPDATE attendance_log SET logout_time = GREATEST(login_time, ?), logout_source = 'SYSTEM' WHERE log_date = ? AND logout_time IS NULL`, [schedule.closeTime, log_date]); total += result.affectedRows; }
+        if (total > 0) console.log(`Startup Cleanup: Logged out ${total} prev days.`);
+    } catch (error) { console.error('Cleanup error:', error); }
+}
+// Checked every minute so the logout follows whatever closing time the calendar gives for today
+cron.schedule('* * * * *', () => { autoLogoutCurrentDay(); }, { scheduled: true, timezone: "Asia/Kolkata" });
+cron.schedule('30 * * * *', () => { cleanupStalePreviews(); }); // drop import previews that were never committed
+cron.schedule('0 0 * * *', () => { reloadOccupancy(); }, { scheduled: true, timezone: "Asia/Kolkata" }); // the tracker only holds today's visits
+
+// Schema updates run once; if MySQL was down at startup they are retried before the first journal replay
+let schemaReady = null;
+function prepareDatabase() {
+    if (!schemaReady) schemaReady = ensureSchema(dbPool).catch((error) => { schemaReady = null; throw error; });
+    return schemaReady;
+}
 
 // --- Start Server ---
 server.listen(PORT, () => {
     console.log(`🚀 Server running! Dashboard at http://localhost:${PORT}/dashboard`);
-    cleanupPreviousDays(); // Run cleanup on startup
+    prepareDatabase().catch((error) => console.error('Schema update error:', error)).then(cleanupPreviousDays).then(reloadOccupancy); // Run cleanup on startup
+    scanJournal.start(); scanSources.start();
 });
 
@@ -0,0 +1,131 @@
+const ExcelJS = require('exceljs');
+const { WEEKDAY_NAMES } = require('./library-calendar');
+
+const TOP_LIMIT = 10;
+const VISIT_FROM = 'FROM attendance_log al JOIN users u ON al.user_id = u.user_id LEFT JOIN programs p ON u.program_id = p.program_id LEFT JOIN departments d ON u.department_id = d.department_id';
+// Minutes between login and logout; NULL while the visit is still open, so SUM/AVG only count finished visits
+const DWELL_MINUTES = 'TIME_TO_SEC(TIMEDIFF(al.logout_time, al.login_time)) / 60';
+const HOURS_TABLE = `(${Array.from({ length: 24 }, (_, h) => `SELECT ${h} AS hour`).join(' UNION ALL ')})`;
+
+// attendance_log.logout_source values as shown in reports; a visit without a source but with a logout predates the column
+const LOGOUT_TYPE_LABELS = { SCAN: 'Scan', SYSTEM: 'System logout', FORCED: 'Forced by staff', REVIEW: 'Corrected in review' };
+const logoutTypeLabel = (visit) => visit.logout_time ? (LOGOUT_TYPE_LABELS[visit.logout_source] || 'Scan') : '';
+
+// The attendance report has always listed students by branch name; the analytics group them by degree and branch code
+const reportGroupColumn = (userType) => userType === 'student' ? 'p.branch_name' : 'd.department_name';
+const groupColumn = (userType) => userType === 'student' ? "CONCAT(p.degree, ' ', p.branch_code)" : 'd.department_name';
+const toMinutes = (value) => value === null || value === undefined ? 0 : Math.round(Number(value) * 10) / 10;
+
+// Filters on the person (type, program, department, year, single user); shared by the visit queries and the never-seen list
+function buildUserFilter(filters) {
+    const clauses = ['u.user_type = ?']; const params = [filters.user_type];
+    if (filters.program_id) { clauses.push('u.program_id = ?'); params.push(filters.program_id); }
+    if (filters.department_id) { clauses.push('u.department_id = ?'); params.push(filters.department_id); }
+    if (filters.year) { clauses.push('u.year = ?'); params.push(filters.year); }
+    if (filters.user_id) { clauses.push('u.user_id = ?'); params.push(filters.user_id.trim()); }
+    return { clauses, params };
+}
+
+function buildVisitFilter(filters) {
+    const { clauses, params } = buildUserFilter(filters);
+    return { where: `WHERE ${[...clauses, 'al.log_date BETWEEN ? AND ?'].join(' AND ')}`, params: [...params, filters.start_date, filters.end_date] };
+}
+
+// Raw visit rows for the plain attendance report, with the same filters as the analytics. `forAnalytics` labels
+// students' groups the way the analytics do, for the visit sheet of the analytics workbook.
+async function getVisitRows(dbPool, filters, forAnalytics = false) {
+    const { where, params } = buildVisitFilter(filters); const group = forAnalytics ? groupColumn(filters.user_type) : reportGroupColumn(filters.user_type);
+    const [rows] = await dbPool.query(`SELECT al.log_id, al.user_id, u.user_name, ${group} AS group_name, u.year, DATE_FORMAT(al.log_date, '%Y-%m-%d') AS log_date, TIME_FORMAT(al.login_time, '%H:%i:%s') AS login_time, TIME_FORMAT(al.logout_time, '%H:%i:%s') AS logout_time, al.logout_source, ${DWELL_MINUTES} AS minutes ${VISIT_FROM} ${where} ORDER BY al.log_date, al.login_time`, params);
+    return rows.map(r => ({ ...r, minutes: r.minutes === null ? null : toMinutes(r.minutes) }));
+}
+
+async function getVisitCounts(dbPool, filters) {
+    const { where, params } = buildVisitFilter(filters);
+    const [rows] = await dbPool.query(`SELECT ${filters.user_type === 'student' ? 'p.degree' : 'd.department_name'} AS group_name, COUNT(al.log_id) AS count ${VISIT_FROM} ${where} GROUP BY group_name ORDER BY group_name`, params);
+    return rows;
+}
+
+// How many of each weekday fall inside the range, to turn heatmap totals into per-day averages
+function countWeekdays(startDate, endDate) {
+    const counts = Array(7).fill(0); const end = new Date(`${endDate}T00:00:00`);
+    for (let day = new Date(`${startDate}T00:00:00`); day <= end; day.setDate(day.getDate() + 1)) counts[day.getDay()]++;
+    return counts;
+}
+
+// Week-over-week change in percent; null for the first week or when the previous week had no visits
+function withWeekChange(weeks) {
+    return weeks.map((week, i) => {
+        const previous = i > 0 ? weeks[i - 1] : null;
+        return { ...week, change: previous && previous.visits > 0 ? Math.round(((week.visits - previous.visits) / previous.visits) * 1000) / 10 : null };
+    });
+}
+
+async function getAnalytics(dbPool, filters) {
+    const { where, params } = buildVisitFilter(filters); const group = groupColumn(filters.user_type);
+    const [[summary]] = await dbPool.query(`SELECT COUNT(*) AS visits, COUNT(DISTINCT al.user_id) AS visitors, COUNT(DISTINCT al.log_date) AS days, SUM(${DWELL_MINUTES}) AS total_minutes, AVG(${DWELL_MINUTES}) AS avg_minutes, SUM(al.logout_time IS NULL) AS open_visits, SUM(al.logout_source = 'SYSTEM') AS system_logouts ${VISIT_FROM} ${where}`, params);
+    const [byGroup] = await dbPool.query(`SELECT ${group} AS group_name, COUNT(*) AS visits, COUNT(DISTINCT al.user_id) AS visitors, SUM(${DWELL_MINUTES}) AS total_minutes, AVG(${DWELL_MINUTES}) AS avg_minutes ${VISIT_FROM} ${where} GROUP BY group_name ORDER BY visits DESC`, params);
+    const [byYear] = filters.user_type === 'student' ? await dbPool.query(`SELECT u.year, COUNT(*) AS visits, COUNT(DISTINCT al.user_id) AS visitors, SUM(${DWELL_MINUTES}) AS total_minutes, AVG(${DWELL_MINUTES}) AS avg_minutes ${VISIT_FROM} ${where} GROUP BY u.year ORDER BY u.year`, params) : [[]];
+    const [byUser] = await dbPool.query(`SELECT u.user_id, u.user_name, ${group} AS group_name, u.year, COUNT(*) AS visits, COUNT(DISTINCT al.log_date) AS days, SUM(${DWELL_MINUTES}) AS total_minutes, AVG(${DWELL_MINUTES}) AS avg_minutes, DATE_FORMAT(MAX(al.log_date), '%Y-%m-%d') AS last_visit ${VISIT_FROM} ${where} GROUP BY u.user_id, u.user_name, group_name, u.year ORDER BY visits DESC, total_minutes DESC`, params);
+    const [daily] = await dbPool.query(`SELECT DATE_FORMAT(al.log_date, '%Y-%m-%d') AS log_date, COUNT(*) AS visits, COUNT(DISTINCT al.user_id) AS visitors, SUM(${DWELL_MINUTES}) AS total_minutes ${VISIT_FROM} ${where} GROUP BY al.log_date ORDER BY al.log_date`, params);
+    const [weekly] = await dbPool.query(`SELECT DATE_FORMAT(DATE_SUB(al.log_date, INTERVAL WEEKDAY(al.log_date) DAY), '%Y-%m-%d') AS week_start, COUNT(*) AS visits, COUNT(DISTINCT al.user_id) AS visitors, SUM(${DWELL_MINUTES}) AS total_minutes, AVG(${DWELL_MINUTES}) AS avg_minutes ${VISIT_FROM} ${where} GROUP BY week_start ORDER BY week_start`, params);
+    // A visit counts towards every hour it overlaps; open visits only towards their login hour
+    const [hourly] = await dbPool.query(`SELECT DAYOFWEEK(al.log_date) - 1 AS weekday, h.hour, COUNT(*) AS visits ${VISIT_FROM} JOIN ${HOURS_TABLE} h ON h.hour BETWEEN HOUR(al.login_time) AND HOUR(COALESCE(al.logout_time, al.login_time)) ${where} GROUP BY weekday, h.hour`, params);
+    const userFilter = buildUserFilter(filters);
+    const [neverSeen] = await dbPool.query(`SELECT u.user_id, u.user_name, ${group} AS group_name, u.year FROM users u LEFT JOIN programs p ON u.program_id = p.program_id LEFT JOIN departments d ON u.department_id = d.department_id WHERE ${userFilter.clauses.join(' AND ')} AND u.is_active = 1 AND NOT EXISTS (SELECT 1 FROM attendance_log al WHERE al.user_id = u.user_id AND al.log_date BETWEEN ? AND ?) ORDER BY u.user_id`, [...userFilter.params, filters.start_date, filters.end_date]);
+
+    const dwell = (row) => ({ ...row, total_minutes: toMinutes(row.total_minutes), avg_minutes: toMinutes(row.avg_minutes) });
+    const weekdayCounts = countWeekdays(filters.start_date, filters.end_date);
+    const heatmap = WEEKDAY_NAMES.map((name, weekday) => ({ weekday: name, days: weekdayCounts[weekday], hours: Array(24).fill(0) }));
+    hourly.forEach(row => { const cell = heatmap[row.weekday]; cell.hours[row.hour] = cell.days > 0 ? Math.round((row.visits / cell.days) * 10) / 10 : 0; });
+    const activeHours = hourly.map(r => r.hour);
+
+    return {
+        filters,
+        summary: { visits: summary.visits, visitors: summary.visitors, days: summary.days, openVisits: Number(summary.open_visits || 0), systemLogouts: Number(summary.system_logouts || 0), totalMinutes: toMinutes(summary.total_minutes), avgMinutes: toMinutes(summary.avg_minutes) },
+        byGroup: byGroup.map(dwell), byYear: byYear.map(dwell), byUser: byUser.map(dwell),
+        topVisitors: byUser.slice(0, TOP_LIMIT).map(dwell),
+        daily: daily.map(dwell), busiestDays: [...daily].sort((a, b) => b.visits - a.visits).slice(0, TOP_LIMIT).map(dwell),
+        weekly: withWeekChange(weekly.map(dwell)),
+        heatmap, heatmapHours: activeHours.length ? { from: Math.min(...activeHours), to: Math.max(...activeHours) } : null,
+        neverSeen
+    };
+}
+
+const formatHours = (minutes) => Math.round((minutes / 60) * 10) / 10;
+
+function addSheet(workbook, name, columns, rows) {
+    const worksheet = workbook.addWorksheet(name); worksheet.columns = columns;
+    worksheet.getRow(1).font = { bold: true }; rows.forEach(row => worksheet.addRow(row));
+    return worksheet;
+}
+
+// Summary sheets first, then the per-user and per-visit detail the summaries were built from
+function buildAnalyticsWorkbook(analytics, visits) {
+    const { filters, summary } = analytics; const groupLabel = filters.user_type === 'student' ? 'Branch' : 'Department';
+    const workbook = new ExcelJS.Workbook();
+    const dwellColumns = [{ header: 'Visits', key: 'visits', width: 10 }, { header: 'Visitors', key: 'visitors', width: 10 }, { header: 'Total Hours', key: 'total_hours', width: 12 }, { header: 'Avg Minutes / Visit', key: 'avg_minutes', width: 18 }];
+    const withHours = (row) => ({ ...row, total_hours: formatHours(row.total_minutes) });
+
+    addSheet(workbook, 'Summary', [{ header: 'Measure', key: 'measure', width: 30 }, { header: 'Value', key: 'value', width: 30 }], [
+        { measure: 'User Type', value: filters.user_type }, { measure: 'From', value: filters.start_date }, { measure: 'To', value: filters.end_date },
+        ...['program_id', 'department_id', 'year', 'user_id'].filter(f => filters[f]).map(f => ({ measure: `Filter: ${f}`, value: filters[f] })),
+        { measure: 'Visits', value: summary.visits }, { measure: 'Unique Visitors', value: summary.visitors }, { measure: 'Days With Visits', value: summary.days },
+        { measure: 'Total Hours', value: formatHours(summary.totalMinutes) }, { measure: 'Average Minutes per Visit', value: summary.avgMinutes },
+        { measure: 'Visits Closed by System Logout', value: summary.systemLogouts }, { measure: 'Visits Still Open', value: summary.openVisits },
+        { measure: 'Never Seen (active users)', value: analytics.neverSeen.length }
+    ]);
+    addSheet(workbook, `By ${groupLabel}`, [{ header: groupLabel, key: 'group_name', width: 30 }, ...dwellColumns], analytics.byGroup.map(withHours));
+    if (filters.user_type === 'student') addSheet(workbook, 'By Year', [{ header: 'Year', key: 'year', width: 10 }, ...dwellColumns], analytics.byYear.map(withHours));
+    addSheet(workbook, 'Weekly Trend', [{ header: 'Week Starting', key: 'week_start', width: 15 }, ...dwellColumns, { header: 'Change vs Previous Week (%)', key: 'change', width: 26 }], analytics.weekly.map(withHours));
+    addSheet(workbook, 'Daily', [{ header: 'Date', key: 'log_date', width: 15 }, ...dwellColumns.filter(c => c.key !== 'avg_minutes')], analytics.daily.map(withHours));
+    const heatmapSheet = addSheet(workbook, 'Hourly Occupancy', [{ header: 'Weekday', key: 'weekday', width: 12 }, ...Array.from({ length: 24 }, (_, h) => ({ header: `${String(h).padStart(2, '0')}:00`, key: `h${h}`, width: 7 }))],
+        analytics.heatmap.map(day => ({ weekday: day.weekday, ...Object.fromEntries(day.hours.map((value, h) => [`h${h}`, value])) })));
+    heatmapSheet.addRow([]); heatmapSheet.addRow(['Average number of visitors present during each hour, per weekday in the range.']);
+    addSheet(workbook, 'Users', [{ header: 'User ID', key: 'user_id', width: 20 }, { header: 'Name', key: 'user_name', width: 30 }, { header: groupLabel, key: 'group_name', width: 25 }, ...(filters.user_type === 'student' ? [{ header: 'Year', key: 'year', width: 8 }] : []), { header: 'Visits', key: 'visits', width: 10 }, { header: 'Days', key: 'days', width: 8 }, { header: 'Total Hours', key: 'total_hours', width: 12 }, { header: 'Avg Minutes / Visit', key: 'avg_minutes', width: 18 }, { header: 'Last Visit', key: 'last_visit', width: 14 }], analytics.byUser.map(withHours));
+    addSheet(workbook, 'Never Seen', [{ header: 'User ID', key: 'user_id', width: 20 }, { header: 'Name', key: 'user_name', width: 30 }, { header: groupLabel, key: 'group_name', width: 25 }, ...(filters.user_type === 'student' ? [{ header: 'Year', key: 'year', width: 8 }] : [])], analytics.neverSeen);
+    addSheet(workbook, 'Visits', [{ header: 'User ID', key: 'user_id', width: 20 }, { header: 'Name', key: 'user_name', width: 30 }, { header: groupLabel, key: 'group_name', width: 25 }, { header: 'Date', key: 'log_date', width: 14 }, { header: 'Login Time', key: 'login_time', width: 12 }, { header: 'Logout Time', key: 'logout_time', width: 12 }, { header: 'Minutes', key: 'minutes', width: 10 }, { header: 'Logout Type', key: 'logout_type', width: 15 }],
+        visits.map(row => ({ ...row, logout_time: row.logout_time || 'N/A', logout_type: logoutTypeLabel(row) })));
+    return workbook;
+}
+
+module.exports = { logoutTypeLabel, getVisitRows, getVisitCounts, getAnalytics, buildAnalyticsWorkbook };
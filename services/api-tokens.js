@@ -0,0 +1,47 @@
+const crypto = require('crypto');
+
+// What a token may do; each API route requires one of these
+const API_SCOPES = {
+    'users:read': 'Read users, programs and departments',
+    'users:write': 'Create and update users',
+    'rfid:read': 'Read RFID card bindings',
+    'rfid:write': 'Bind and unbind RFID cards',
+    'attendance:read': 'Read attendance logs and live occupancy',
+    'analytics:read': 'Read analytics counts'
+};
+const TOKEN_PREFIX = 'lib_';
+
+// Only the SHA-256 of a token is stored; the full value is shown once when it is created
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+async function createApiToken(db, { name, scopes, expiresInDays }, username) {
+    const token = `${TOKEN_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+    const [result] = await db.query('INSERT INTO api_tokens (name, token_prefix, token_hash, scopes, created_by, expires_at) VALUES (?, ?, ?, ?, ?, IF(? > 0, NOW() + INTERVAL ? DAY, NULL))',
+        [name, token.slice(0, 12), hashToken(token), scopes.join(','), username, expiresInDays, expiresInDays]);
+    return { tokenId: result.insertId, token };
+}
+
+async function listApiTokens(dbPool) {
+    const [rows] = await dbPool.query('SELECT token_id, name, token_prefix, scopes, created_by, created_at, expires_at, last_used_at, revoked_at, revoked_by, (expires_at IS NOT NULL AND expires_at <= NOW()) AS is_expired FROM api_tokens ORDER BY revoked_at IS NOT NULL, created_at DESC');
+    return rows.map(r => ({ ...r, scopes: r.scopes.split(',') }));
+}
+
+async function revokeApiToken(db, tokenId, username) {
+    const [result] = await db.query('UPDATE api_tokens SET revoked_at = NOW(), revoked_by = ? WHERE token_id = ? AND revoked_at IS NULL', [username, tokenId]);
+    return result.affectedRows > 0;
+}
+
+// last_used_at is only rewritten once it is this old, so a busy client does not cost a write per request
+const LAST_USED_RESOLUTION_SECONDS = 60;
+
+// Returns the token row for a live (not revoked, not expired) token, or null
+async function findActiveToken(dbPool, token) {
+    if (!token || !token.startsWith(TOKEN_PREFIX)) return null;
+    const [rows] = await dbPool.query(`SELECT token_id, name, scopes, (last_used_at IS NULL OR last_used_at < NOW() - INTERVAL ${LAST_USED_RESOLUTION_SECONDS} SECOND) AS last_used_stale FROM api_tokens WHERE token_hash = ? AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > NOW())`, [hashToken(token)]);
+    if (rows.length === 0) return null;
+    const { last_used_stale: stale, ...row } = rows[0];
+    if (stale) await dbPool.query('UPDATE api_tokens SET last_used_at = NOW() WHERE token_id = ?', [row.token_id]);
+    return { ...row, scopes: row.scopes.split(',') };
+}
+
+module.exports = { API_SCOPES, createApiToken, listApiTokens, revokeApiToken, findActiveToken };
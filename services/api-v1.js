@@ -0,0 +1,204 @@
+const express = require('express');
+const { format } = require('date-fns');
+const { findActiveToken } = require('./api-tokens');
+const { inTransaction } = require('./db');
+const { recordAudit } = require('./audit');
+const { getAnalytics } = require('./analytics');
+const { CARD_TYPES, CardError, assignCard, releaseCard, getCardHistory } = require('./rfid-cards');
+const { OPENAPI_SPEC } = require('./openapi');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+const USER_COLUMNS = 'SELECT u.user_id, u.user_type, u.user_name, u.year, u.program_id, p.degree, p.branch_code, u.designation, u.department_id, d.department_name, u.is_active';
+const USER_FROM = 'FROM users u LEFT JOIN programs p ON u.program_id = p.program_id LEFT JOIN departments d ON u.department_id = d.department_id';
+// Which fields each kind of user has; anything else in a create/update body is rejected
+const USER_FIELDS = { student: ['user_name', 'year', 'program_id', 'is_active'], faculty: ['user_name', 'designation', 'department_id', 'is_active'] };
+
+// Every failure leaves the API as { error: { code, message, details? } }
+class ApiError extends Error {
+    constructor(status, code, message, details) { super(message); this.status = status; this.code = code; this.details = details; }
+}
+const sendError = (res, status, code, message, details) => res.status(status).json({ error: details ? { code, message, details } : { code, message } });
+
+const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value || '');
+const toUser = (row) => ({ ...row, is_active: Boolean(row.is_active) });
+
+function getPaging(query) {
+    const page = query.page === undefined ? 1 : Number(query.page); const pageSize = query.page_size === undefined ? DEFAULT_PAGE_SIZE : Number(query.page_size);
+    if (!Number.isInteger(page) || page < 1) throw new ApiError(422, 'validation_failed', 'page must be a positive integer.');
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) throw new ApiError(422, 'validation_failed', `page_size must be between 1 and ${MAX_PAGE_SIZE}.`);
+    return { page, pageSize, offset: (page - 1) * pageSize };
+}
+
+// Date range for attendance and analytics; both ends default to today
+function getRange(query) {
+    const today = format(new Date(), 'yyyy-MM-dd'); const from = query.from || today; const to = query.to || today;
+    if (!isDate(from) || !isDate(to)) throw new ApiError(422, 'validation_failed', 'from and to must be dates in YYYY-MM-DD format.');
+    if (from > to) throw new ApiError(422, 'validation_failed', 'from must not be after to.');
+    return { from, to };
+}
+
+async function pagedQuery(dbPool, select, from, where, params, order, paging) {
+    const [[{ total }]] = await dbPool.query(`SELECT COUNT(*) AS total ${from} ${where}`, params);
+    const [rows] = await dbPool.query(`${select} ${from} ${where} ${order} LIMIT ? OFFSET ?`, [...params, paging.pageSize, paging.offset]);
+    return { rows, paging: { page: paging.page, page_size: paging.pageSize, total } };
+}
+
+// Checks a user body against USER_FIELDS for the user's type; returns only the recognised fields
+function readUserFields(body, userType) {
+    const allowed = USER_FIELDS[userType]; const unknown = Object.keys(body).filter(key => !allowed.includes(key) && !['user_id', 'user_type'].includes(key));
+    if (unknown.length > 0) throw new ApiError(422, 'validation_failed', `Fields not allowed for ${userType} users.`, { fields: unknown });
+    const fields = {}; allowed.filter(key => body[key] !== undefined).forEach(key => { fields[key] = body[key]; });
+    if (fields.user_name !== undefined && (typeof fields.user_name !== 'string' || !fields.user_name.trim())) throw new ApiError(422, 'validation_failed', 'user_name must be a non-empty string.');
+    if (fields.year !== undefined && !(Number.isInteger(fields.year) && fields.year >= 1 && fields.year <= 6)) throw new ApiError(422, 'validation_failed', 'year must be an integer from 1 to 6.');
+    if (fields.is_active !== undefined) { if (typeof fields.is_active !== 'boolean') throw new ApiError(422, 'validation_failed', 'is_active must be true or false.'); fields.is_active = fields.is_active ? 1 : 0; }
+    if (fields.user_name !== undefined) fields.user_name = fields.user_name.trim();
+    return fields;
+}
+
+// Mounted at /api/v1. Authenticates with `Authorization: Bearer <token>` (tokens are managed on /api-access)
+// and checks the token's scopes per route; the session login is not used here.
+function createApiRouter({ dbPool, occupancy }) {
+    const router = express.Router();
+
+    const requireScope = (scope) => (req, res, next) => req.apiToken.scopes.includes(scope) ? next() : sendError(res, 403, 'insufficient_scope', `This token does not have the '${scope}' scope.`);
+    const loadUser = async (userId) => { const [rows] = await dbPool.query(`${USER_COLUMNS} ${USER_FROM} WHERE u.user_id = ?`, [userId]); return rows.length > 0 ? toUser(rows[0]) : null; };
+
+    router.get('/openapi.json', (req, res) => res.json(OPENAPI_SPEC));
+
+    router.use(async (req, res, next) => {
+        const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+        if (!match) return sendError(res, 401, 'unauthorized', 'Send an API token as "Authorization: Bearer <token>".');
+        const token = await findActiveToken(dbPool, match[1]);
+        if (!token) return sendError(res, 401, 'unauthorized', 'The API token is invalid, expired or revoked.');
+        req.apiToken = token; next();
+    });
+    // A repeated key (?year=1&year=2) arrives as an array; every filter takes a single value
+    router.use((req, res, next) => {
+        const repeated = Object.keys(req.query).filter(key => typeof req.query[key] !== 'string');
+        if (repeated.length > 0) return sendError(res, 422, 'validation_failed', 'Each query parameter may only be given once.', { fields: repeated });
+        next();
+    });
+    router.use(express.json({ limit: '100kb' }));
+
+    // Users, programs and departments
+    router.get('/users', requireScope('users:read'), async (req, res) => {
+        const paging = getPaging(req.query); const clauses = []; const params = [];
+        if (req.query.user_type) { clauses.push('u.user_type = ?'); params.push(req.query.user_type); }
+        if (req.query.program_id) { clauses.push('u.program_id = ?'); params.push(req.query.program_id); }
+        if (req.query.department_id) { clauses.push('u.department_id = ?'); params.push(req.query.department_id); }
+        if (req.query.year) { clauses.push('u.year = ?'); params.push(req.query.year); }
+        if (req.query.is_active !== undefined) { clauses.push('u.is_active = ?'); params.push(req.query.is_active === 'true' ? 1 : 0); }
+        if (req.query.q) { clauses.push('(u.user_id LIKE ? OR u.user_name LIKE ?)'); params.push(`%${req.query.q}%`, `%${req.query.q}%`); }
+        const result = await pagedQuery(dbPool, USER_COLUMNS, USER_FROM, clauses.length ? `WHERE ${clauses.join(' AND ')}` : '', params, 'ORDER BY u.user_id', paging);
+        res.json({ data: result.rows.map(toUser), paging: result.paging });
+    });
+    router.get('/users/:userId', requireScope('users:read'), async (req, res) => {
+        const user = await loadUser(req.params.userId); if (!user) throw new ApiError(404, 'not_found', `User ${req.params.userId} does not exist.`);
+        res.json({ data: user });
+    });
+    router.post('/users', requireScope('users:write'), async (req, res) => {
+        const body = req.body || {}; const userId = typeof body.user_id === 'string' ? body.user_id.trim() : '';
+        if (!userId) throw new ApiError(422, 'validation_failed', 'user_id is required.');
+        if (!USER_FIELDS[body.user_type]) throw new ApiError(422, 'validation_failed', "user_type must be 'student' or 'faculty'.");
+        const fields = readUserFields(body, body.user_type);
+        const required = body.user_type === 'student' ? ['user_name', 'year', 'program_id'] : ['user_name', 'department_id'];
+        const missing = required.filter(key => fields[key] === undefined); if (missing.length > 0) throw new ApiError(422, 'validation_failed', 'Required fields are missing.', { fields: missing });
+        const columns = ['user_id', 'user_type', ...Object.keys(fields)];
+        await inTransaction(dbPool, async (connection) => {
+            await connection.query(`INSERT INTO users (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`, [userId, body.user_type, ...Object.values(fields)]);
+            await recordAudit(connection, req, { action: 'user.create', entityType: 'user', entityId: userId, after: { user_type: body.user_type, ...fields }, details: 'Via API' });
+        });
+        res.status(201).location(`${req.baseUrl}/users/${encodeURIComponent(userId)}`).json({ data: await loadUser(userId) });
+    });
+    router.patch('/users/:userId', requireScope('users:write'), async (req, res) => {
+        const before = await loadUser(req.params.userId); if (!before) throw new ApiError(404, 'not_found', `User ${req.params.userId} does not exist.`);
+        const fields = readUserFields(req.body || {}, before.user_type);
+        if (Object.keys(fields).length === 0) throw new ApiError(422, 'validation_failed', 'Nothing to update.');
+        await inTransaction(dbPool, async (connection) => {
+            await connection.query(`UPDATE users SET ${Object.keys(fields).map(key => `${key} = ?`).join(', ')} WHERE user_id = ?`, [...Object.values(fields), before.user_id]);
+            await recordAudit(connection, req, { action: 'user.update', entityType: 'user', entityId: before.user_id, before: Object.fromEntries(Object.keys(fields).map(key => [key, key === 'is_active' ? Number(before[key]) : before[key]])), after: fields, details: 'Via API' });
+        });
+        res.json({ data: await loadUser(before.user_id) });
+    });
+    router.get('/programs', requireScope('users:read'), async (req, res) => {
+        const [rows] = await dbPool.query('SELECT p.program_id, p.degree, p.branch_name, p.branch_code, p.duration_years, p.is_active, COUNT(u.user_id) AS student_count FROM programs p LEFT JOIN users u ON u.program_id = p.program_id AND u.is_active = 1 GROUP BY p.program_id, p.degree, p.branch_name, p.branch_code, p.duration_years, p.is_active ORDER BY p.degree, p.branch_code');
+        res.json({ data: rows.map(r => ({ ...r, is_active: Boolean(r.is_active) })) });
+    });
+    router.get('/departments', requireScope('users:read'), async (req, res) => {
+        const [rows] = await dbPool.query('SELECT d.department_id, d.department_name, d.is_active, COUNT(u.user_id) AS faculty_count FROM departments d LEFT JOIN users u ON u.department_id = d.department_id AND u.is_active = 1 GROUP BY d.department_id, d.department_name, d.is_active ORDER BY d.department_name');
+        res.json({ data: rows.map(r => ({ ...r, is_active: Boolean(r.is_active) })) });
+    });
+
+    // RFID bindings; one card per user, as on the Edit RFID page, with the same history and lost-card blocking
+    router.get('/rfid', requireScope('rfid:read'), async (req, res) => {
+        const paging = getPaging(req.query); const clauses = []; const params = [];
+        if (req.query.user_id) { clauses.push('r.user_id = ?'); params.push(req.query.user_id); }
+        if (req.query.uid) { clauses.push('r.uid = ?'); params.push(req.query.uid); }
+        const result = await pagedQuery(dbPool, "SELECT r.uid, r.user_id, u.user_name, u.user_type, r.card_type, DATE_FORMAT(r.expires_at, '%Y-%m-%d %H:%i:%s') AS expires_at", 'FROM rfid_details r JOIN users u ON r.user_id = u.user_id', clauses.length ? `WHERE ${clauses.join(' AND ')}` : '', params, 'ORDER BY r.user_id', paging);
+        res.json({ data: result.rows, paging: result.paging });
+    });
+    router.get('/users/:userId/rfid/history', requireScope('rfid:read'), async (req, res) => {
+        const user = await loadUser(req.params.userId); if (!user) throw new ApiError(404, 'not_found', `User ${req.params.userId} does not exist.`);
+        res.json({ data: (await getCardHistory(dbPool, user.user_id)).map(h => ({ ...h, is_blocked: Boolean(h.is_blocked) })) });
+    });
+    router.put('/users/:userId/rfid', requireScope('rfid:write'), async (req, res) => {
+        const body = req.body || {}; const uid = typeof body.uid === 'string' ? body.uid.trim() : ''; if (!uid) throw new ApiError(422, 'validation_failed', 'uid is required.');
+        const cardType = body.card_type || 'PERMANENT'; if (!CARD_TYPES[cardType]) throw new ApiError(422, 'validation_failed', `card_type must be one of ${Object.keys(CARD_TYPES).join(', ')}.`);
+        if (cardType === 'PERMANENT' ? body.expires_on : !isDate(body.expires_on)) throw new ApiError(422, 'validation_failed', cardType === 'PERMANENT' ? 'Permanent cards do not expire; omit expires_on.' : 'expires_on (YYYY-MM-DD) is required for temporary and visitor cards.');
+        const user = await loadUser(req.params.userId); if (!user) throw new ApiError(404, 'not_found', `User ${req.params.userId} does not exist.`);
+        let change;
+        try {
+            change = await inTransaction(dbPool, async (connection) => {
+                const assigned = await assignCard(connection, { userId: user.user_id, uid, cardType, expiresOn: body.expires_on || null }, `api:${req.apiToken.name}`);
+                await recordAudit(connection, req, { action: 'rfid.update', entityType: 'rfid', entityId: user.user_id, before: assigned.before, after: assigned.after, details: 'Via API' });
+                return assigned;
+            });
+        } catch (error) { if (error instanceof CardError) throw new ApiError(409, 'conflict', error.message); throw error; }
+        res.json({ data: { uid, user_id: user.user_id, user_name: user.user_name, user_type: user.user_type, card_type: change.after.card_type, expires_at: change.after.expires_at } });
+    });
+    // ?reason=lost blocks the card as well; the default is a plain return
+    router.delete('/users/:userId/rfid', requireScope('rfid:write'), async (req, res) => {
+        const reason = req.query.reason === 'lost' ? 'LOST' : 'RETURNED';
+        await inTransaction(dbPool, async (connection) => {
+            const released = await releaseCard(connection, req.params.userId, reason, `api:${req.apiToken.name}`); if (!released) throw new ApiError(404, 'not_found', `User ${req.params.userId} has no card.`);
+            await recordAudit(connection, req, { action: reason === 'LOST' ? 'rfid.block' : 'rfid.return', entityType: 'rfid', entityId: req.params.userId, before: { uid: released.uid, card_type: released.card_type }, after: { uid: null }, details: 'Via API' });
+        });
+        res.status(204).end();
+    });
+
+    // Attendance and analytics
+    router.get('/attendance', requireScope('attendance:read'), async (req, res) => {
+        const paging = getPaging(req.query); const range = getRange(req.query); const clauses = ['al.log_date BETWEEN ? AND ?']; const params = [range.from, range.to];
+        if (req.query.user_id) { clauses.push('al.user_id = ?'); params.push(req.query.user_id); }
+        if (req.query.user_type) { clauses.push('u.user_type = ?'); params.push(req.query.user_type); }
+        if (req.query.program_id) { clauses.push('u.program_id = ?'); params.push(req.query.program_id); }
+        if (req.query.department_id) { clauses.push('u.department_id = ?'); params.push(req.query.department_id); }
+        if (req.query.year) { clauses.push('u.year = ?'); params.push(req.query.year); }
+        if (req.query.open !== undefined) clauses.push(req.query.open === 'true' ? 'al.logout_time IS NULL' : 'al.logout_time IS NOT NULL');
+        const result = await pagedQuery(dbPool, "SELECT al.log_id, al.user_id, u.user_name, u.user_type, DATE_FORMAT(al.log_date, '%Y-%m-%d') AS log_date, TIME_FORMAT(al.login_time, '%H:%i:%s') AS login_time, TIME_FORMAT(al.logout_time, '%H:%i:%s') AS logout_time, al.logout_source, al.login_reader_id, al.logout_reader_id",
+            'FROM attendance_log al JOIN users u ON al.user_id = u.user_id', `WHERE ${clauses.join(' AND ')}`, params, 'ORDER BY al.log_date, al.login_time, al.log_id', paging);
+        res.json({ data: result.rows, paging: result.paging });
+    });
+    router.get('/occupancy', requireScope('attendance:read'), (req, res) => {
+        res.json({ data: { ...occupancy.getSnapshot(), inside: occupancy.getInside() } });
+    });
+    router.get('/analytics/summary', requireScope('analytics:read'), async (req, res) => {
+        if (!USER_FIELDS[req.query.user_type]) throw new ApiError(422, 'validation_failed', "user_type must be 'student' or 'faculty'.");
+        const range = getRange(req.query);
+        const analytics = await getAnalytics(dbPool, { user_type: req.query.user_type, start_date: range.from, end_date: range.to, program_id: req.query.program_id, department_id: req.query.department_id, year: req.query.year });
+        res.json({ data: { range, summary: analytics.summary, by_group: analytics.byGroup, by_year: analytics.byYear, daily: analytics.daily, weekly: analytics.weekly, never_seen: analytics.neverSeen.length } });
+    });
+
+    router.use((req, res) => sendError(res, 404, 'not_found', `No such endpoint: ${req.method} ${req.baseUrl}${req.path}`));
+    router.use((error, req, res, next) => {
+        if (error instanceof ApiError) return sendError(res, error.status, error.code, error.message, error.details);
+        if (error.type === 'entity.parse.failed') return sendError(res, 400, 'invalid_json', 'The request body is not valid JSON.');
+        if (error.code === 'ER_DUP_ENTRY') return sendError(res, 409, 'conflict', 'A record with this ID already exists.');
+        if (error.code === 'ER_NO_REFERENCED_ROW_2') return sendError(res, 422, 'validation_failed', 'A referenced program or department does not exist.');
+        console.error("API Error:", error); sendError(res, 500, 'internal_error', 'Something went wrong.');
+    });
+    return router;
+}
+
+module.exports = { createApiRouter };
@@ -0,0 +1,43 @@
+// Who changed what. `db` can be the pool or a connection inside a transaction, in which case the
+// audit row commits or rolls back together with the change it describes.
+// Changes made through /api/v1 are attributed to the token as api:<token name>.
+async function recordAudit(db, req, { action, entityType, entityId, before, after, details }) {
+    const actor = req && req.apiToken ? { username: `api:${req.apiToken.name}`.slice(0, 50), role: 'api' } : req && req.session && req.session.user ? req.session.user : null;
+    const ip = req ? (req.ip || (req.socket && req.socket.remoteAddress) || null) : null;
+    await db.query('INSERT INTO audit_log (actor_username, actor_role, action, entity_type, entity_id, before_json, after_json, details, ip_address) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)', [
+        actor ? actor.username : null, actor ? actor.role : null, action, entityType, entityId === undefined || entityId === null ? null : String(entityId),
+        before === undefined || before === null ? null : JSON.stringify(before), after === undefined || after === null ? null : JSON.stringify(after), details || null, ip
+    ]);
+}
+
+// Shared by the audit page and its Excel export so both see the same rows for the same filters
+function buildAuditFilter(filters) {
+    const clauses = []; const params = [];
+    if (filters.actor) { clauses.push('actor_username = ?'); params.push(filters.actor); }
+    if (filters.action) { clauses.push('action = ?'); params.push(filters.action); }
+    if (filters.entity_type) { clauses.push('entity_type = ?'); params.push(filters.entity_type); }
+    if (filters.from) { clauses.push('occurred_at >= ?'); params.push(`${filters.from} 00:00:00`); }
+    if (filters.to) { clauses.push('occurred_at <= ?'); params.push(`${filters.to} 23:59:59`); }
+    if (filters.q) {
+        const like = `%${filters.q}%`;
+        clauses.push('(entity_id LIKE ? OR details LIKE ? OR before_json LIKE ? OR after_json LIKE ?)'); params.push(like, like, like, like);
+    }
+    return { where: clauses.length ? `WHERE ${clauses.join(' AND ')}` : '', params };
+}
+
+async function searchAudit(dbPool, filters, { limit, offset }) {
+    const { where, params } = buildAuditFilter(filters);
+    const [[{ total }]] = await dbPool.query(`SELECT COUNT(*) AS total FROM audit_log ${where}`, params);
+    const [rows] = await dbPool.query(`SELECT * FROM audit_log ${where} ORDER BY occurred_at DESC, audit_id DESC LIMIT ? OFFSET ?`, [...params, limit, offset]);
+    return { total, rows };
+}
+
+// Distinct values for the filter dropdowns
+async function getAuditFacets(dbPool) {
+    const [actions] = await dbPool.query('SELECT DISTINCT action FROM audit_log ORDER BY action');
+    const [entityTypes] = await dbPool.query('SELECT DISTINCT entity_type FROM audit_log ORDER BY entity_type');
+    const [actors] = await dbPool.query('SELECT DISTINCT actor_username FROM audit_log WHERE actor_username IS NOT NULL ORDER BY actor_username');
+    return { actions: actions.map(r => r.action), entityTypes: entityTypes.map(r => r.entity_type), actors: actors.map(r => r.actor_username) };
+}
+
+module.exports = { recordAudit, searchAudit, getAuditFacets };
@@ -0,0 +1,64 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const ROLES = ['admin', 'librarian', 'viewer'];
+// Which roles may use each area of the admin pages
+const PERMISSIONS = {
+    reports: ['admin', 'librarian', 'viewer'],
+    users: ['admin', 'librarian'],
+    promotion: ['admin'],
+    rfid: ['admin', 'librarian'],
+    anomalies: ['admin', 'librarian'],
+    occupancy: ['admin', 'librarian'],
+    programs: ['admin'],
+    calendar: ['admin'],
+    accounts: ['admin'],
+    audit: ['admin'],
+    settings: ['admin'],
+    api: ['admin']
+};
+
+const MAX_FAILED_LOGINS = 5;
+const LOCKOUT_MINUTES = 15;
+const MIN_PASSWORD_LENGTH = 8;
+
+const HASH_SCHEME = 'scrypt';
+const KEY_LENGTH = 32;
+
+// Stored as scrypt$<salt>$<key> (base64). Anything else in credentials.password is a legacy plain-text row.
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const key = await scrypt(password, salt, KEY_LENGTH);
+    return `${HASH_SCHEME}$${salt.toString('base64')}$${key.toString('base64')}`;
+}
+
+// Returns { ok, needsUpgrade }; needsUpgrade is set when a plain-text password matched and should be re-saved hashed.
+// A missing account is checked against a throwaway hash so it takes as long as a wrong password.
+let dummyHash = null;
+async function verifyPassword(password, stored) {
+    if (!stored) {
+        dummyHash = dummyHash || hashPassword(crypto.randomBytes(16).toString('hex'));
+        await verifyPassword(password, await dummyHash);
+        return { ok: false, needsUpgrade: false };
+    }
+    const parts = stored.split('$');
+    if (parts.length === 3 && parts[0] === HASH_SCHEME) {
+        const expected = Buffer.from(parts[2], 'base64');
+        const actual = await scrypt(password, Buffer.from(parts[1], 'base64'), expected.length);
+        return { ok: crypto.timingSafeEqual(actual, expected), needsUpgrade: false };
+    }
+    const a = Buffer.from(String(password)); const b = Buffer.from(String(stored));
+    const ok = a.length === b.length && crypto.timingSafeEqual(a, b);
+    return { ok, needsUpgrade: ok };
+}
+
+// Roles are matched exactly; older role values are rewritten by the schema update (services/schema.js), and
+// anything still unknown gets no access rather than a guess
+function can(role, permission) {
+    const allowed = PERMISSIONS[permission];
+    return Boolean(allowed && allowed.includes(role));
+}
+
+module.exports = { ROLES, MAX_FAILED_LOGINS, LOCKOUT_MINUTES, MIN_PASSWORD_LENGTH, hashPassword, verifyPassword, can };
@@ -0,0 +1,218 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const ExcelJS = require('exceljs');
+
+// Parsed previews wait here between the validate and commit steps
+const IMPORT_DIR = path.join(__dirname, '..', 'uploads', 'imports');
+const IMPORT_TTL_MS = 2 * 60 * 60 * 1000;
+const INSERT_CHUNK_SIZE = 500;
+const IMPORT_MODES = ['insert', 'upsert', 'deactivate'];
+
+// Columns are found by header name; each field lists the headers it accepts (compared without case, spaces or underscores)
+const IMPORT_SPECS = {
+    student: {
+        label: 'Students',
+        columns: { user_id: ['user_id', 'roll number', 'roll no', 'id'], user_name: ['user_name', 'name', 'full name', 'student name'], year: ['year'], degree: ['degree'], branch_code: ['branch_code', 'branch code', 'branch'] },
+        compareFields: ['user_name', 'year', 'program_id']
+    },
+    faculty: {
+        label: 'Faculty',
+        columns: { user_id: ['user_id', 'faculty id', 'employee id', 'id'], user_name: ['user_name', 'name', 'full name', 'faculty name'], department_name: ['department_name', 'department', 'dept'], designation: ['designation'] },
+        compareFields: ['user_name', 'department_id', 'designation']
+    }
+};
+
+const normalizeHeader = (header) => String(header || '').toLowerCase().replace(/[\s_]+/g, '');
+
+// Reads the first sheet of an .xlsx or .csv upload into { headers, rows: [{ rowNumber, cells: [text] }] }
+async function readUpload(filePath, originalName) {
+    const workbook = new ExcelJS.Workbook();
+    let worksheet;
+    if (path.extname(originalName || '').toLowerCase() === '.csv') worksheet = await workbook.csv.readFile(filePath, { map: (value) => value }); // keep IDs as text (leading zeros)
+    else { await workbook.xlsx.readFile(filePath); worksheet = workbook.getWorksheet(1); }
+    if (!worksheet || worksheet.rowCount === 0) throw new Error('The file is empty.');
+
+    const headerRow = worksheet.getRow(1); const headers = [];
+    for (let c = 1; c <= headerRow.cellCount; c++) headers.push(headerRow.getCell(c).text.trim());
+    const rows = [];
+    for (let i = 2; i <= worksheet.rowCount; i++) {
+        const row = worksheet.getRow(i); const cells = headers.map((_, index) => row.getCell(index + 1).text.trim());
+        if (cells.every(cell => cell === '')) continue;
+        rows.push({ rowNumber: i, cells });
+    }
+    return { headers, rows };
+}
+
+function mapColumns(headers, spec) {
+    const normalized = headers.map(normalizeHeader); const columnIndex = {}; const missing = [];
+    for (const [field, aliases] of Object.entries(spec.columns)) {
+        const index = normalized.findIndex(h => aliases.some(alias => normalizeHeader(alias) === h));
+        if (index === -1) missing.push(field); else columnIndex[field] = index;
+    }
+    if (missing.length > 0) throw new Error(`Missing column(s): ${missing.join(', ')}. Found: ${headers.filter(Boolean).join(', ') || 'none'}.`);
+    return columnIndex;
+}
+
+// `lock` takes row locks (FOR UPDATE) so the rows cannot change before the caller's transaction ends
+async function loadExistingUsers(db, userIds, lock = false) {
+    const existing = new Map();
+    for (let i = 0; i < userIds.length; i += INSERT_CHUNK_SIZE) {
+        const [rows] = await db.query(`SELECT user_id, user_type, user_name, year, program_id, department_id, designation, is_active FROM users WHERE user_id IN (?)${lock ? ' FOR UPDATE' : ''}`, [userIds.slice(i, i + INSERT_CHUNK_SIZE)]);
+        rows.forEach(row => existing.set(String(row.user_id).toLowerCase(), row));
+    }
+    return existing;
+}
+
+// What importing `record` would change on the existing row `current`; a re-imported inactive user is reactivated
+function diffUser(spec, current, record) {
+    const changes = spec.compareFields.filter(f => String(current[f] === null || current[f] === undefined ? '' : current[f]) !== String(record[f] === null ? '' : record[f])).map(f => ({ field: f, from: current[f], to: record[f] }));
+    if (!current.is_active) changes.push({ field: 'is_active', from: 0, to: 1 });
+    return changes;
+}
+
+// Every user_id the file names, rejected rows included: deactivate mode keeps all of them, so a row that fails
+// validation (a misspelt program, say) does not cost that user their access
+const fileUserIds = (rows) => [...new Set(rows.map(r => r.values && r.values.user_id ? String(r.values.user_id).trim() : '').filter(Boolean))];
+
+// Validates every row against programs/departments/existing users (three queries in total, not one per row)
+// and sorts it into new / updated / unchanged / invalid.
+async function buildPreview(dbPool, userType, upload) {
+    const spec = IMPORT_SPECS[userType];
+    const columnIndex = mapColumns(upload.headers, spec);
+    const [programs] = await dbPool.query('SELECT program_id, degree, branch_code, is_active FROM programs');
+    const [departments] = await dbPool.query('SELECT department_id, department_name, is_active FROM departments');
+    const programIds = new Map(programs.map(p => [`${p.degree}|${p.branch_code}`.toLowerCase(), p.program_id]));
+    const departmentIds = new Map(departments.map(d => [String(d.department_name).toLowerCase(), d.department_id]));
+    const inactivePrograms = new Set(programs.filter(p => !p.is_active).map(p => p.program_id));
+    const inactiveDepartments = new Set(departments.filter(d => !d.is_active).map(d => d.department_id));
+    const existing = await loadExistingUsers(dbPool, [...new Set(upload.rows.map(r => r.cells[columnIndex.user_id]).filter(Boolean))]);
+
+    const seen = new Set(); const rows = [];
+    for (const { rowNumber, cells } of upload.rows) {
+        const values = {}; for (const field of Object.keys(spec.columns)) values[field] = cells[columnIndex[field]];
+        const entry = { rowNumber, cells, values, status: 'invalid', errors: [], changes: [] };
+        rows.push(entry);
+
+        for (const field of Object.keys(spec.columns)) if (!values[field] && field !== 'designation') entry.errors.push(`${field} is empty`);
+        const key = (values.user_id || '').toLowerCase();
+        if (key && seen.has(key)) entry.errors.push('user_id appears more than once in the file');
+        if (key) seen.add(key);
+        const record = { user_id: values.user_id, user_name: values.user_name };
+        if (userType === 'student') {
+            if (values.year && !/^[1-9]\d*$/.test(values.year)) entry.errors.push(`year '${values.year}' is not a whole number`);
+            record.year = values.year;
+            record.program_id = programIds.get(`${values.degree}|${values.branch_code}`.toLowerCase());
+            if (values.degree && values.branch_code && !record.program_id) entry.errors.push(`program ${values.degree}-${values.branch_code} does not exist`);
+            if (inactivePrograms.has(record.program_id)) entry.errors.push(`program ${values.degree}-${values.branch_code} is inactive`);
+        } else {
+            record.designation = values.designation || null;
+            record.department_id = departmentIds.get(String(values.department_name).toLowerCase());
+            if (values.department_name && !record.department_id) entry.errors.push(`department '${values.department_name}' does not exist`);
+            if (inactiveDepartments.has(record.department_id)) entry.errors.push(`department '${values.department_name}' is inactive`);
+        }
+        const current = existing.get(key);
+        if (current && current.user_type !== userType) entry.errors.push(`user_id already belongs to a ${current.user_type}`);
+        if (entry.errors.length > 0) continue;
+
+        entry.record = record;
+        if (!current) { entry.status = 'new'; continue; }
+        entry.changes = diffUser(spec, current, record);
+        entry.status = entry.changes.length > 0 ? 'updated' : 'unchanged';
+    }
+
+    const inFile = new Set(fileUserIds(rows).map(id => id.toLowerCase()));
+    const [activeRows] = await dbPool.query('SELECT user_id FROM users WHERE user_type = ? AND is_active = 1', [userType]);
+    const missing = activeRows.map(r => r.user_id).filter(id => !inFile.has(String(id).toLowerCase()));
+
+    const counts = { new: 0, updated: 0, unchanged: 0, invalid: 0 };
+    rows.forEach(r => counts[r.status]++);
+    return { userType, headers: upload.headers, rows, counts, missing };
+}
+
+async function savePreview(preview, meta) {
+    await fs.promises.mkdir(IMPORT_DIR, { recursive: true });
+    const token = crypto.randomUUID();
+    await fs.promises.writeFile(path.join(IMPORT_DIR, `${token}.json`), JSON.stringify({ ...preview, ...meta, token, createdAt: Date.now() }));
+    return token;
+}
+
+async function loadPreview(token) {
+    if (!/^[0-9a-f-]{36}$/.test(token)) return null;
+    try {
+        const preview = JSON.parse(await fs.promises.readFile(path.join(IMPORT_DIR, `${token}.json`), 'utf8'));
+        return Date.now() - preview.createdAt > IMPORT_TTL_MS ? null : preview;
+    } catch (err) { return null; }
+}
+
+async function discardPreview(token) {
+    await fs.promises.unlink(path.join(IMPORT_DIR, `${token}.json`)).catch(() => {});
+}
+
+// Removes previews nobody committed
+async function cleanupStalePreviews() {
+    const files = await fs.promises.readdir(IMPORT_DIR).catch(() => []);
+    for (const file of files) {
+        const filePath = path.join(IMPORT_DIR, file);
+        const stat = await fs.promises.stat(filePath).catch(() => null);
+        if (stat && Date.now() - stat.mtimeMs > IMPORT_TTL_MS) await fs.promises.unlink(filePath).catch(() => {});
+    }
+}
+
+// Applies a preview inside the caller's transaction. Modes: insert (new rows only), upsert (new + updated),
+// deactivate (upsert, then mark active users of this type whose ID appears nowhere in the file as inactive).
+// The preview can be up to IMPORT_TTL_MS old, so every valid row is classified again against the locked users
+// rows rather than trusted from the preview: an ID created since then is an update (or skipped in insert mode),
+// and one that now belongs to the other user type is left alone and reported as a conflict. The counts are what
+// the database reports for the writes.
+async function commitPreview(connection, preview, mode) {
+    const spec = IMPORT_SPECS[preview.userType]; const isStudent = preview.userType === 'student';
+    const records = preview.rows.filter(r => r.record).map(r => r.record);
+    const existing = await loadExistingUsers(connection, records.map(r => r.user_id), true);
+    const toInsert = []; const toUpdate = [];
+    const result = { inserted: 0, updated: 0, deactivated: 0, skipped: 0, conflicts: [], insertedIds: [], updatedIds: [], deactivatedIds: [], before: {} };
+    for (const record of records) {
+        const current = existing.get(String(record.user_id).toLowerCase());
+        if (!current) { toInsert.push(record); continue; }
+        if (current.user_type !== preview.userType) { result.conflicts.push(record.user_id); continue; }
+        const changes = diffUser(spec, current, record); if (changes.length === 0) continue;
+        if (mode === 'insert') { result.skipped++; continue; }
+        toUpdate.push(record); result.before[record.user_id] = Object.fromEntries(changes.map(c => [c.field, c.from]));
+    }
+
+    const columns = isStudent ? '(user_id, user_type, user_name, year, program_id, is_active)' : '(user_id, user_type, user_name, designation, department_id, is_active)';
+    const onDuplicate = isStudent ? 'user_name = VALUES(user_name), year = VALUES(year), program_id = VALUES(program_id), is_active = 1' : 'user_name = VALUES(user_name), designation = VALUES(designation), department_id = VALUES(department_id), is_active = 1';
+    const toValues = (rows) => rows.map(r => isStudent ? [r.user_id, 'student', r.user_name, r.year, r.program_id, 1] : [r.user_id, 'faculty', r.user_name, r.designation, r.department_id, 1]);
+    for (let i = 0; i < toInsert.length; i += INSERT_CHUNK_SIZE) {
+        const [insert] = await connection.query(`INSERT INTO users ${columns} VALUES ?`, [toValues(toInsert.slice(i, i + INSERT_CHUNK_SIZE))]);
+        result.inserted += insert.affectedRows;
+    }
+    // Every row here exists and differs, and MySQL reports 2 affected rows for each row an upsert changes
+    for (let i = 0; i < toUpdate.length; i += INSERT_CHUNK_SIZE) {
+        const [update] = await connection.query(`INSERT INTO users ${columns} VALUES ? ON DUPLICATE KEY UPDATE ${onDuplicate}`, [toValues(toUpdate.slice(i, i + INSERT_CHUNK_SIZE))]);
+        result.updated += update.affectedRows / 2;
+    }
+    result.insertedIds = toInsert.map(r => r.user_id); result.updatedIds = toUpdate.map(r => r.user_id);
+
+    if (mode === 'deactivate') {
+        const keep = fileUserIds(preview.rows);
+        if (keep.length === 0) throw new Error('Refusing to deactivate every user: the file has no user IDs.');
+        const [missing] = await connection.query('SELECT user_id FROM users WHERE user_type = ? AND is_active = 1 AND user_id NOT IN (?) FOR UPDATE', [preview.userType, keep]);
+        result.deactivatedIds = missing.map(r => r.user_id);
+        if (result.deactivatedIds.length > 0) { const [update] = await connection.query('UPDATE users SET is_active = 0 WHERE user_id IN (?)', [result.deactivatedIds]); result.deactivated = update.affectedRows; }
+    }
+    return result;
+}
+
+// Workbook of every rejected row: original columns plus the row number and the reasons
+function buildErrorWorkbook(preview) {
+    const workbook = new ExcelJS.Workbook(); const worksheet = workbook.addWorksheet('Rejected Rows');
+    worksheet.columns = [{ header: 'Row', key: 'row', width: 8 }, ...preview.headers.map((h, i) => ({ header: h || `Column ${i + 1}`, key: `c${i}`, width: 20 })), { header: 'Reason', key: 'reason', width: 60 }];
+    preview.rows.filter(r => r.status === 'invalid').forEach(r => {
+        const row = { row: r.rowNumber, reason: r.errors.join('; ') }; r.cells.forEach((cell, i) => { row[`c${i}`] = cell; });
+        worksheet.addRow(row);
+    });
+    return workbook;
+}
+
+module.exports = { IMPORT_SPECS, IMPORT_MODES, readUpload, buildPreview, savePreview, loadPreview, discardPreview, cleanupStalePreviews, commitPreview, buildErrorWorkbook };
@@ -0,0 +1,9 @@
+// Runs work(connection) as one transaction on a pooled connection, committed when it returns and rolled back when
+// it throws. Admin changes go through here so the change and its audit_log row are saved together or not at all.
+async function inTransaction(dbPool, work) {
+    const connection = await dbPool.getConnection();
+    try { await connection.beginTransaction(); const result = await work(connection); await connection.commit(); return result; }
+    catch (error) { await connection.rollback(); throw error; } finally { connection.release(); }
+}
+
+module.exports = { inTransaction };
@@ -0,0 +1,69 @@
+const { format, parseISO, addMinutes, addDays } = require('date-fns');
+
+// Used when a weekday has no row in library_hours
+const DEFAULT_OPEN_TIME = '08:00:00';
+const DEFAULT_CLOSE_TIME = '19:00:00';
+// Exit scans are still accepted this long after closing; auto-logout runs once it has passed
+const AUTO_LOGOUT_GRACE_MINUTES = 5;
+const CACHE_TTL_MS = 60 * 1000;
+
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+let scheduleCache = new Map(); // date -> { schedule, expires }
+
+function clearScheduleCache() { scheduleCache = new Map(); }
+// Reports and history walk many dates, so expired entries are dropped whenever a new one is stored
+function pruneScheduleCache(now) { scheduleCache.forEach((entry, date) => { if (entry.expires <= now) scheduleCache.delete(date); }); }
+
+// Resolves the hours for one date (yyyy-MM-dd). A CLOSED exception beats a SPECIAL one, then the narrowest
+// date range wins, so a one-day holiday inside an exam-week override still closes the library.
+async function getScheduleForDate(dbPool, date) {
+    const cached = scheduleCache.get(date);
+    if (cached && cached.expires > Date.now()) return cached.schedule;
+    if (cached) scheduleCache.delete(date);
+
+    const weekday = parseISO(date).getDay();
+    const [hoursRows] = await dbPool.query('SELECT * FROM library_hours WHERE weekday = ?', [weekday]);
+    const weekly = hoursRows.length > 0 ? hoursRows[0] : { is_closed: 0, open_time: DEFAULT_OPEN_TIME, close_time: DEFAULT_CLOSE_TIME };
+    let schedule = { date, isOpen: !weekly.is_closed, openTime: weekly.open_time, closeTime: weekly.close_time, source: `Weekly hours (${WEEKDAY_NAMES[weekday]})` };
+
+    const [exceptions] = await dbPool.query(`SELECT * FROM library_calendar_exceptions WHERE ? BETWEEN start_date AND end_date ORDER BY (exception_type = 'CLOSED') DESC, DATEDIFF(end_date, start_date) ASC, exception_id DESC LIMIT 1`, [date]);
+    if (exceptions.length > 0) schedule = applyException(schedule, exceptions[0]);
+
+    pruneScheduleCache(Date.now()); scheduleCache.set(date, { schedule, expires: Date.now() + CACHE_TTL_MS });
+    return schedule;
+}
+
+function applyException(schedule, exception) {
+    const source = exception.description || (exception.exception_type === 'CLOSED' ? 'Closed day' : 'Special session');
+    if (exception.exception_type === 'CLOSED') return { ...schedule, isOpen: false, source };
+    return { date: schedule.date, isOpen: true, openTime: exception.open_time, closeTime: exception.close_time, source };
+}
+
+// Set of open dates (yyyy-MM-dd) between two dates inclusive, resolved with two queries instead of one lookup per day.
+// Exceptions are applied in the same precedence as getScheduleForDate.
+async function getOpenDates(dbPool, from, to) {
+    const [hoursRows] = await dbPool.query('SELECT weekday, is_closed FROM library_hours');
+    const closedWeekdays = new Set(hoursRows.filter(r => r.is_closed).map(r => r.weekday));
+    const [exceptions] = await dbPool.query(`SELECT *, DATE_FORMAT(start_date, '%Y-%m-%d') AS start_day, DATE_FORMAT(end_date, '%Y-%m-%d') AS end_day FROM library_calendar_exceptions WHERE start_date <= ? AND end_date >= ? ORDER BY (exception_type = 'CLOSED') DESC, DATEDIFF(end_date, start_date) ASC, exception_id DESC`, [to, from]);
+    const openDates = new Set();
+    for (let day = parseISO(from); format(day, 'yyyy-MM-dd') <= to; day = addDays(day, 1)) {
+        const date = format(day, 'yyyy-MM-dd');
+        const exception = exceptions.find(e => e.start_day <= date && e.end_day >= date);
+        const isOpen = exception ? exception.exception_type !== 'CLOSED' : !closedWeekdays.has(day.getDay());
+        if (isOpen) openDates.add(date);
+    }
+    return openDates;
+}
+
+// Where "now" falls against today's schedule: open, inside the post-closing grace window, or closed.
+async function getLibraryStatus(dbPool, now) {
+    const schedule = await getScheduleForDate(dbPool, format(now, 'yyyy-MM-dd'));
+    const time = format(now, 'HH:mm:ss');
+    const graceEnd = format(addMinutes(parseISO(`${schedule.date}T${schedule.closeTime}`), AUTO_LOGOUT_GRACE_MINUTES), 'HH:mm:ss');
+    const isOpen = schedule.isOpen && time >= schedule.openTime && time < schedule.closeTime;
+    const inGrace = schedule.isOpen && time >= schedule.closeTime && time < graceEnd && graceEnd > schedule.closeTime;
+    return { schedule, isOpen, inGrace, autoLogoutDue: !isOpen && !inGrace && (!schedule.isOpen || time >= schedule.openTime) };
+}
+
+module.exports = { getScheduleForDate, getOpenDates, getLibraryStatus, clearScheduleCache, WEEKDAY_NAMES, AUTO_LOGOUT_GRACE_MINUTES };
@@ -0,0 +1,82 @@
+const { EventEmitter } = require('events');
+const { format } = require('date-fns');
+
+// Stored in library_settings; capacity 0 means no limit
+const CAPACITY_DEFAULTS = { reading_room_capacity: 0, occupancy_warning_percent: 80, occupancy_full_percent: 100 };
+
+async function loadCapacitySettings(db) {
+    const [rows] = await db.query('SELECT setting_key, setting_value FROM library_settings WHERE setting_key IN (?)', [Object.keys(CAPACITY_DEFAULTS)]);
+    const settings = { ...CAPACITY_DEFAULTS };
+    rows.forEach(row => { const value = parseInt(row.setting_value, 10); if (!Number.isNaN(value)) settings[row.setting_key] = value; });
+    return settings;
+}
+
+async function saveCapacitySettings(db, settings, username) {
+    for (const key of Object.keys(CAPACITY_DEFAULTS)) {
+        await db.query('INSERT INTO library_settings (setting_key, setting_value, updated_by) VALUES (?, ?, ?) ON DUPLICATE KEY UPDATE setting_value = VALUES(setting_value), updated_by = VALUES(updated_by)', [key, String(settings[key]), username]);
+    }
+}
+
+function getLevel(total, settings) {
+    const capacity = settings.reading_room_capacity; if (!capacity) return 'ok';
+    const percent = (total / capacity) * 100;
+    if (percent >= settings.occupancy_full_percent) return 'full';
+    if (percent >= settings.occupancy_warning_percent) return 'warning';
+    return 'ok';
+}
+
+// In-memory list of who is inside right now (today's open visits), kept up to date by the scan handler so the
+// dashboard never has to re-query the day. reload() rebuilds it from the database after bulk changes
+// (auto-logout, review corrections, startup). Emits 'update' with a snapshot on every change and 'alert'
+// when the capacity level moves between ok / warning / full.
+function createOccupancyTracker(dbPool) {
+    const tracker = new EventEmitter();
+    let inside = new Map(); // user_id -> visit
+    let settings = { ...CAPACITY_DEFAULTS };
+    let level = 'ok';
+
+    function snapshot() {
+        const visits = [...inside.values()]; const byProgram = {}; const byDepartment = {};
+        visits.forEach(v => {
+            if (v.user_type === 'student') { const key = v.program || 'Unassigned'; byProgram[key] = (byProgram[key] || 0) + 1; }
+            else { const key = v.department_name || 'Unassigned'; byDepartment[key] = (byDepartment[key] || 0) + 1; }
+        });
+        return {
+            total: visits.length, students: visits.filter(v => v.user_type === 'student').length, faculty: visits.filter(v => v.user_type !== 'student').length,
+            byProgram, byDepartment, capacity: settings.reading_room_capacity, warningPercent: settings.occupancy_warning_percent, fullPercent: settings.occupancy_full_percent, level
+        };
+    }
+
+    function changed() {
+        const total = inside.size; const newLevel = getLevel(total, settings);
+        if (newLevel !== level) {
+            const previous = level; level = newLevel;
+            const message = newLevel === 'full' ? `Reading room is full (${total}/${settings.reading_room_capacity}).` : newLevel === 'warning' ? `Reading room is nearly full (${total}/${settings.reading_room_capacity}).` : `Occupancy back to normal (${total}/${settings.reading_room_capacity || 'no limit'}).`;
+            tracker.emit('alert', { level: newLevel, previous, total, capacity: settings.reading_room_capacity, message, time: format(new Date(), 'HH:mm:ss') });
+        }
+        tracker.emit('update', snapshot());
+    }
+
+    // `details` is the user row from handleCardScan (users joined with programs/departments)
+    tracker.enter = (details, visit) => {
+        inside.set(String(details.user_id), { user_id: details.user_id, user_name: details.user_name, user_type: details.user_type, program: details.degree ? `${details.degree} ${details.branch_code}` : null, department_name: details.department_name || null, year: details.year || null, ...visit });
+        changed();
+    };
+    tracker.leave = (userId) => { if (inside.delete(String(userId))) changed(); };
+
+    tracker.reload = async () => {
+        const today = format(new Date(), 'yyyy-MM-dd');
+        const [rows] = await dbPool.query("SELECT al.log_id, al.user_id, TIME_FORMAT(al.login_time, '%H:%i:%s') AS login_time, al.login_reader_id AS reader_id, u.user_name, u.user_type, u.year, p.degree, p.branch_code, d.department_name FROM attendance_log al JOIN users u ON al.user_id = u.user_id LEFT JOIN programs p ON u.program_id = p.program_id LEFT JOIN departments d ON u.department_id = d.department_id WHERE al.log_date = ? AND al.logout_time IS NULL ORDER BY al.login_time", [today]);
+        settings = await loadCapacitySettings(dbPool);
+        inside = new Map(rows.map(r => [String(r.user_id), { user_id: r.user_id, user_name: r.user_name, user_type: r.user_type, program: r.degree ? `${r.degree} ${r.branch_code}` : null, department_name: r.department_name, year: r.year, log_id: r.log_id, login_time: r.login_time, reader_id: r.reader_id }]));
+        changed();
+    };
+
+    tracker.setSettings = (newSettings) => { settings = { ...CAPACITY_DEFAULTS, ...newSettings }; changed(); };
+    tracker.getSettings = () => ({ ...settings });
+    tracker.getSnapshot = snapshot;
+    tracker.getInside = () => [...inside.values()].sort((a, b) => String(a.login_time).localeCompare(String(b.login_time)));
+    return tracker;
+}
+
+module.exports = { CAPACITY_DEFAULTS, createOccupancyTracker, loadCapacitySettings, saveCapacitySettings };
@@ -0,0 +1,60 @@
+// OpenAPI description of /api/v1, served at /api/v1/openapi.json. Keep it in step with services/api-v1.js.
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const errorResponse = (description) => ({ description, content: { 'application/json': { schema: ref('Error') } } });
+const dataResponse = (description, schema, paged) => ({ description, content: { 'application/json': { schema: { type: 'object', properties: paged ? { data: { type: 'array', items: schema }, paging: ref('Paging') } : { data: schema } } } } });
+const query = (name, description, schema = { type: 'string' }) => ({ name, in: 'query', required: false, description, schema });
+const userIdPath = { name: 'userId', in: 'path', required: true, schema: { type: 'string' } };
+const pagingParams = [query('page', 'Page number, from 1.', { type: 'integer', minimum: 1, default: 1 }), query('page_size', 'Rows per page.', { type: 'integer', minimum: 1, maximum: 500, default: 50 })];
+const rangeParams = [query('from', 'First date (YYYY-MM-DD), default today.', { type: 'string', format: 'date' }), query('to', 'Last date (YYYY-MM-DD), default today.', { type: 'string', format: 'date' })];
+const common = { 401: errorResponse('Missing, invalid, expired or revoked token.'), 403: errorResponse('The token lacks the required scope.') };
+const operation = (summary, scope, extra) => ({ summary, security: [{ bearerAuth: [] }], 'x-required-scope': scope, ...extra, responses: { ...extra.responses, ...common } });
+
+const OPENAPI_SPEC = {
+    openapi: '3.0.3',
+    info: { title: 'Library Attendance API', version: '1.0.0', description: 'Users, RFID cards and attendance of the library. Authenticate with an API token created on the API Access page: `Authorization: Bearer <token>`. Each operation names the scope it needs in `x-required-scope`. Errors always have the shape `{ "error": { "code", "message", "details" } }`.' },
+    servers: [{ url: '/api/v1' }],
+    components: {
+        securitySchemes: { bearerAuth: { type: 'http', scheme: 'bearer' } },
+        schemas: {
+            Error: { type: 'object', properties: { error: { type: 'object', required: ['code', 'message'], properties: { code: { type: 'string', enum: ['unauthorized', 'insufficient_scope', 'not_found', 'conflict', 'validation_failed', 'invalid_json', 'internal_error'] }, message: { type: 'string' }, details: { type: 'object' } } } } },
+            Paging: { type: 'object', properties: { page: { type: 'integer' }, page_size: { type: 'integer' }, total: { type: 'integer' } } },
+            User: { type: 'object', properties: { user_id: { type: 'string' }, user_type: { type: 'string', enum: ['student', 'faculty'] }, user_name: { type: 'string' }, year: { type: 'integer', nullable: true }, program_id: { type: 'integer', nullable: true }, degree: { type: 'string', nullable: true }, branch_code: { type: 'string', nullable: true }, designation: { type: 'string', nullable: true }, department_id: { type: 'integer', nullable: true }, department_name: { type: 'string', nullable: true }, is_active: { type: 'boolean' } } },
+            UserInput: { type: 'object', required: ['user_id', 'user_type', 'user_name'], description: 'Students need year and program_id; faculty need department_id.', properties: { user_id: { type: 'string' }, user_type: { type: 'string', enum: ['student', 'faculty'] }, user_name: { type: 'string' }, year: { type: 'integer', minimum: 1, maximum: 6 }, program_id: { type: 'integer' }, designation: { type: 'string' }, department_id: { type: 'integer' }, is_active: { type: 'boolean' } } },
+            UserUpdate: { type: 'object', description: 'Students: user_name, year, program_id, is_active. Faculty: user_name, designation, department_id, is_active.', properties: { user_name: { type: 'string' }, year: { type: 'integer', minimum: 1, maximum: 6 }, program_id: { type: 'integer' }, designation: { type: 'string' }, department_id: { type: 'integer' }, is_active: { type: 'boolean' } } },
+            Program: { type: 'object', properties: { program_id: { type: 'integer' }, degree: { type: 'string' }, branch_name: { type: 'string' }, branch_code: { type: 'string' }, duration_years: { type: 'integer', nullable: true }, is_active: { type: 'boolean' }, student_count: { type: 'integer' } } },
+            Department: { type: 'object', properties: { department_id: { type: 'integer' }, department_name: { type: 'string' }, is_active: { type: 'boolean' }, faculty_count: { type: 'integer' } } },
+            RfidBinding: { type: 'object', properties: { uid: { type: 'string' }, user_id: { type: 'string' }, user_name: { type: 'string' }, user_type: { type: 'string' }, card_type: { type: 'string', enum: ['PERMANENT', 'TEMPORARY', 'VISITOR'] }, expires_at: { type: 'string', nullable: true, example: '2026-11-30 23:59:59' } } },
+            CardHistory: { type: 'object', properties: { history_id: { type: 'integer' }, uid: { type: 'string' }, card_type: { type: 'string' }, assigned_at: { type: 'string' }, assigned_by: { type: 'string', nullable: true }, expires_on: { type: 'string', format: 'date', nullable: true }, released_at: { type: 'string', nullable: true }, released_by: { type: 'string', nullable: true }, release_reason: { type: 'string', nullable: true, enum: ['REPLACED', 'RETURNED', 'LOST', null] }, is_blocked: { type: 'boolean' } } },
+            Visit: { type: 'object', properties: { log_id: { type: 'integer' }, user_id: { type: 'string' }, user_name: { type: 'string' }, user_type: { type: 'string' }, log_date: { type: 'string', format: 'date' }, login_time: { type: 'string', example: '09:15:00' }, logout_time: { type: 'string', nullable: true }, logout_source: { type: 'string', nullable: true, enum: ['SCAN', 'SYSTEM', 'REVIEW', 'FORCED', null] }, login_reader_id: { type: 'string', nullable: true }, logout_reader_id: { type: 'string', nullable: true } } },
+            Occupancy: { type: 'object', properties: { total: { type: 'integer' }, students: { type: 'integer' }, faculty: { type: 'integer' }, byProgram: { type: 'object', additionalProperties: { type: 'integer' } }, byDepartment: { type: 'object', additionalProperties: { type: 'integer' } }, capacity: { type: 'integer' }, level: { type: 'string', enum: ['ok', 'warning', 'full'] }, inside: { type: 'array', items: { type: 'object' } } } },
+            AnalyticsSummary: { type: 'object', properties: { range: { type: 'object', properties: { from: { type: 'string', format: 'date' }, to: { type: 'string', format: 'date' } } }, summary: { type: 'object', properties: { visits: { type: 'integer' }, visitors: { type: 'integer' }, days: { type: 'integer' }, openVisits: { type: 'integer' }, systemLogouts: { type: 'integer' }, totalMinutes: { type: 'number' }, avgMinutes: { type: 'number' } } }, by_group: { type: 'array', items: { type: 'object' } }, by_year: { type: 'array', items: { type: 'object' } }, daily: { type: 'array', items: { type: 'object' } }, weekly: { type: 'array', items: { type: 'object' } }, never_seen: { type: 'integer', description: 'Active users matching the filters with no visit in the range.' } } },
+            ScanWebhook: { type: 'object', description: 'Body POSTed to webhook URLs. Signed with X-Library-Signature: sha256=<HMAC-SHA256 of the body with the webhook secret>.', properties: { event: { type: 'string', enum: ['scan_event', 'ping'] }, id: { type: 'string', format: 'uuid' }, occurred_at: { type: 'string', format: 'date-time' }, data: { type: 'object', properties: { uid: { type: 'string' }, reader_id: { type: 'string', nullable: true }, location: { type: 'string', nullable: true }, status: { type: 'string', description: 'BUFFERED: the database was unavailable; the scan is replayed later and sent again with replayed: true.' }, time: { type: 'string' }, message: { type: 'string' }, anomaly_type: { type: 'string' }, details: { type: 'object', description: 'The card owner, when known.', properties: { user_id: { type: 'string' }, user_type: { type: 'string', enum: ['student', 'faculty'] }, user_name: { type: 'string' }, year: { type: 'integer', nullable: true }, degree: { type: 'string', nullable: true }, branch_code: { type: 'string', nullable: true }, designation: { type: 'string', nullable: true }, department_name: { type: 'string', nullable: true } } }, replayed: { type: 'boolean' }, scanned_at: { type: 'string', description: 'Set on replayed scans: when the card was actually read.', example: '2026-10-19 14:05:31' } } } } }
+        }
+    },
+    paths: {
+        '/users': {
+            get: operation('List users', 'users:read', { parameters: [query('user_type', 'student or faculty.'), query('program_id', 'Program filter.'), query('department_id', 'Department filter.'), query('year', 'Year of study.'), query('is_active', 'true or false.'), query('q', 'Matches user ID or name.'), ...pagingParams], responses: { 200: dataResponse('Users', ref('User'), true) } }),
+            post: operation('Create a user', 'users:write', { requestBody: { required: true, content: { 'application/json': { schema: ref('UserInput') } } }, responses: { 201: dataResponse('Created user', ref('User')), 409: errorResponse('User ID already exists.'), 422: errorResponse('Invalid fields.') } })
+        },
+        '/users/{userId}': {
+            parameters: [userIdPath],
+            get: operation('Get a user', 'users:read', { responses: { 200: dataResponse('User', ref('User')), 404: errorResponse('No such user.') } }),
+            patch: operation('Update a user', 'users:write', { requestBody: { required: true, content: { 'application/json': { schema: ref('UserUpdate') } } }, responses: { 200: dataResponse('Updated user', ref('User')), 404: errorResponse('No such user.'), 422: errorResponse('Invalid fields.') } })
+        },
+        '/users/{userId}/rfid': {
+            parameters: [userIdPath],
+            put: operation('Bind a card to a user, replacing any previous card', 'rfid:write', { requestBody: { required: true, content: { 'application/json': { schema: { type: 'object', required: ['uid'], properties: { uid: { type: 'string' }, card_type: { type: 'string', enum: ['PERMANENT', 'TEMPORARY', 'VISITOR'], default: 'PERMANENT' }, expires_on: { type: 'string', format: 'date', description: 'Last valid day; required for TEMPORARY and VISITOR cards.' } } } } } }, responses: { 200: dataResponse('Binding', ref('RfidBinding')), 404: errorResponse('No such user.'), 409: errorResponse('Card belongs to another user or is blocked.'), 422: errorResponse('Invalid card type or expiry.') } }),
+            delete: operation("Remove a user's card", 'rfid:write', { parameters: [query('reason', '"lost" also blocks the card; default is a plain return.', { type: 'string', enum: ['returned', 'lost'] })], responses: { 204: { description: 'Removed' }, 404: errorResponse('User has no card.') } })
+        },
+        '/users/{userId}/rfid/history': { parameters: [userIdPath], get: operation('Every card the user has held', 'rfid:read', { responses: { 200: dataResponse('Card history, newest first', { type: 'array', items: ref('CardHistory') }), 404: errorResponse('No such user.') } }) },
+        '/programs': { get: operation('List programs', 'users:read', { responses: { 200: dataResponse('Programs', { type: 'array', items: ref('Program') }) } }) },
+        '/departments': { get: operation('List departments', 'users:read', { responses: { 200: dataResponse('Departments', { type: 'array', items: ref('Department') }) } }) },
+        '/rfid': { get: operation('List card bindings', 'rfid:read', { parameters: [query('user_id', 'Only this user.'), query('uid', 'Only this card.'), ...pagingParams], responses: { 200: dataResponse('Bindings', ref('RfidBinding'), true) } }) },
+        '/attendance': { get: operation('List visits', 'attendance:read', { parameters: [...rangeParams, query('user_id', 'Only this user.'), query('user_type', 'student or faculty.'), query('program_id', 'Program filter.'), query('department_id', 'Department filter.'), query('year', 'Year of study.'), query('open', 'true: still inside, false: finished visits.'), ...pagingParams], responses: { 200: dataResponse('Visits, oldest first', ref('Visit'), true), 422: errorResponse('Invalid dates or paging.') } }) },
+        '/occupancy': { get: operation('Who is inside right now', 'attendance:read', { responses: { 200: dataResponse('Occupancy', ref('Occupancy')) } }) },
+        '/analytics/summary': { get: operation('Visit counts and dwell time', 'analytics:read', { parameters: [{ ...query('user_type', 'student or faculty.'), required: true }, ...rangeParams, query('program_id', 'Program filter.'), query('department_id', 'Department filter.'), query('year', 'Year of study.')], responses: { 200: dataResponse('Analytics', ref('AnalyticsSummary')), 422: errorResponse('Invalid filters.') } }) }
+    }
+};
+
+module.exports = { OPENAPI_SPEC };
@@ -0,0 +1,16 @@
+// Counts attempts per key (a client IP, say) in fixed windows, in memory; enough for a single server process
+function createRateLimiter({ limit, windowMs }) {
+    const windows = new Map();
+    return {
+        // Records one attempt for `key`. Returns 0 when it is allowed, otherwise the milliseconds until the window resets.
+        take(key, now = Date.now()) {
+            windows.forEach((window, k) => { if (now - window.start >= windowMs) windows.delete(k); });
+            const window = windows.get(key) || { start: now, count: 0 }; windows.set(key, window);
+            if (window.count >= limit) return window.start + windowMs - now;
+            window.count++;
+            return 0;
+        }
+    };
+}
+
+module.exports = { createRateLimiter };
@@ -0,0 +1,68 @@
+// Card lifecycle: rfid_details holds the one live card per user, rfid_card_history every UID a user has held.
+// A card reported lost leaves rfid_details but stays blocked in the history, so a scan of it can be told
+// apart from an unknown card. Every function takes `db`, which may be a connection inside a transaction.
+
+const CARD_TYPES = { PERMANENT: 'Permanent', TEMPORARY: 'Temporary', VISITOR: 'Visitor' };
+const RELEASE_REASONS = { REPLACED: 'Replaced', RETURNED: 'Returned', LOST: 'Reported lost' };
+
+// A card change that cannot be made as asked; the message is shown to the user as is
+class CardError extends Error {}
+
+// Temporary and visitor cards are valid through the end of their expiry date
+const toExpiry = (date) => date ? `${date} 23:59:59` : null;
+
+async function getCurrentCard(db, userId) {
+    const [rows] = await db.query("SELECT uid, card_type, DATE_FORMAT(expires_at, '%Y-%m-%d %H:%i:%s') AS expires_at, (expires_at IS NOT NULL AND expires_at <= NOW()) AS is_expired FROM rfid_details WHERE user_id = ?", [userId]);
+    return rows.length > 0 ? rows[0] : null;
+}
+
+async function findBlockedCard(db, uid) {
+    const [rows] = await db.query("SELECT history_id, user_id, DATE_FORMAT(released_at, '%Y-%m-%d %H:%i') AS released_at FROM rfid_card_history WHERE uid = ? AND is_blocked = 1 ORDER BY released_at DESC LIMIT 1", [uid]);
+    return rows.length > 0 ? rows[0] : null;
+}
+
+async function closeHistory(db, userId, uid, reason, username, isBlocked) {
+    await db.query('UPDATE rfid_card_history SET released_at = NOW(), released_by = ?, release_reason = ?, is_blocked = ? WHERE user_id = ? AND uid = ? AND released_at IS NULL', [username, reason, isBlocked ? 1 : 0, userId, uid]);
+}
+
+// Gives `userId` the card `uid`, replacing whatever card they had. Re-assigning the same UID only changes
+// its type and expiry. Returns { before, after } for the audit log.
+async function assignCard(db, { userId, uid, cardType = 'PERMANENT', expiresOn = null }, username) {
+    if (!CARD_TYPES[cardType]) throw new CardError(`Unknown card type '${cardType}'.`);
+    if (cardType !== 'PERMANENT' && !expiresOn) throw new CardError(`${CARD_TYPES[cardType]} cards need an expiry date.`);
+    const expiresAt = cardType === 'PERMANENT' ? null : toExpiry(expiresOn);
+    const [holderRows] = await db.query('SELECT user_id FROM rfid_details WHERE uid = ? AND user_id != ?', [uid, userId]); if (holderRows.length > 0) throw new CardError(`UID '${uid}' already assigned to ${holderRows[0].user_id}.`);
+    const blocked = await findBlockedCard(db, uid); if (blocked) throw new CardError(`UID '${uid}' was reported lost by ${blocked.user_id}; unblock it first.`);
+    const before = await getCurrentCard(db, userId);
+    if (before && before.uid === uid) {
+        await db.query('UPDATE rfid_details SET card_type = ?, expires_at = ? WHERE user_id = ?', [cardType, expiresAt, userId]);
+        await db.query('UPDATE rfid_card_history SET card_type = ?, expires_at = ? WHERE user_id = ? AND uid = ? AND released_at IS NULL', [cardType, expiresAt, userId, uid]);
+    } else {
+        if (before) { await db.query('DELETE FROM rfid_details WHERE user_id = ?', [userId]); await closeHistory(db, userId, before.uid, 'REPLACED', username, false); }
+        await db.query('INSERT INTO rfid_details (user_id, uid, card_type, expires_at) VALUES (?, ?, ?, ?)', [userId, uid, cardType, expiresAt]);
+        await db.query('INSERT INTO rfid_card_history (uid, user_id, card_type, expires_at, assigned_by) VALUES (?, ?, ?, ?, ?)', [uid, userId, cardType, expiresAt, username]);
+    }
+    return { before: before ? { uid: before.uid, card_type: before.card_type, expires_at: before.expires_at } : { uid: null }, after: { uid, card_type: cardType, expires_at: expiresAt } };
+}
+
+// Takes the user's card away; reason LOST also blocks the UID. Returns the released card, or null if there was none.
+async function releaseCard(db, userId, reason, username) {
+    const card = await getCurrentCard(db, userId); if (!card) return null;
+    await db.query('DELETE FROM rfid_details WHERE user_id = ?', [userId]);
+    await closeHistory(db, userId, card.uid, reason, username, reason === 'LOST');
+    return card;
+}
+
+// For a lost card that turned up again; it can then be assigned like any other
+async function unblockCard(db, historyId) {
+    const [rows] = await db.query('SELECT uid, user_id FROM rfid_card_history WHERE history_id = ? AND is_blocked = 1', [historyId]); if (rows.length === 0) return null;
+    await db.query('UPDATE rfid_card_history SET is_blocked = 0 WHERE uid = ? AND is_blocked = 1', [rows[0].uid]);
+    return rows[0];
+}
+
+async function getCardHistory(db, userId) {
+    const [rows] = await db.query("SELECT history_id, uid, card_type, DATE_FORMAT(assigned_at, '%Y-%m-%d %H:%i') AS assigned_at, assigned_by, DATE_FORMAT(expires_at, '%Y-%m-%d') AS expires_on, DATE_FORMAT(released_at, '%Y-%m-%d %H:%i') AS released_at, released_by, release_reason, is_blocked FROM rfid_card_history WHERE user_id = ? ORDER BY assigned_at DESC, history_id DESC", [userId]);
+    return rows;
+}
+
+module.exports = { CARD_TYPES, RELEASE_REASONS, CardError, getCurrentCard, findBlockedCard, assignCard, releaseCard, unblockCard, getCardHistory };
@@ -0,0 +1,83 @@
+const { format } = require('date-fns');
+const { CARD_TYPES, findBlockedCard } = require('./rfid-cards');
+const { getLibraryStatus } = require('./library-calendar');
+const { isConnectionError } = require('./scan-journal');
+
+// Turns card reads into visits. handleScan is the reader entry point (debounce, then either the database or
+// the journal); handleCardScan does the actual lookup and attendance write. Every outcome goes through
+// emitScanEvent, except a replay's, which the journal announces after it commits. `journal` is a scan journal (services/scan-journal.js), `occupancy` the live tracker, and
+// onLogin runs after each new visit so the dashboard counts can be refreshed.
+function createScanHandler(dbPool, { journal, occupancy, emitScanEvent, onLogin, debounceMs }) {
+    function bufferScan(uid, reader, scannedAt, error) {
+        journal.append(uid, reader, scannedAt, error);
+        return emitScanEvent({ uid: uid, reader_id: reader.id, location: reader.location, status: 'BUFFERED', time: format(scannedAt, 'HH:mm:ss'), message: 'Scan saved. It will be added to the register as soon as the system is back.' });
+    }
+
+    // `now` is when the card was read, which for a scan replayed from the journal can be hours ago. A replay passes
+    // the journal's connection as `replayDb`: every query runs on it, inside the journal's transaction, and nothing is
+    // emitted; the event is returned for the journal to announce once the transaction has committed. Replays throw
+    // instead of reporting ERROR so the journal can retry them, and leave the occupancy tracker alone; it is reloaded
+    // once the journal has drained.
+    async function handleCardScan(uid, reader, now = new Date(), replayDb = null) {
+        const isReplay = Boolean(replayDb); const db = replayDb || dbPool; const emit = (data) => isReplay ? data : emitScanEvent(data);
+        const currentDate = format(now, 'yyyy-MM-dd'); const currentTime = format(now, 'HH:mm:ss'); let eventData = { uid: uid, reader_id: reader ? reader.id : null, location: reader ? reader.location : null };
+        if (isReplay) { eventData.replayed = true; eventData.scanned_at = format(now, 'yyyy-MM-dd HH:mm:ss'); }
+        const readerId = reader ? reader.id : null; const mode = reader ? reader.mode : 'toggle';
+        try {
+            const [rfidRows] = await db.query("SELECT user_id, card_type, DATE_FORMAT(expires_at, '%Y-%m-%d %H:%i:%s') AS expires_at FROM rfid_details WHERE uid = ?", [uid]);
+            if (rfidRows.length === 0) {
+                const blocked = await findBlockedCard(db, uid); // lost cards are no longer bound but must not read as merely unknown
+                if (blocked) { eventData.status = 'BLOCKED'; eventData.time = currentTime; eventData.message = 'This card was reported lost and is blocked. Please contact the library desk.'; }
+                else eventData.status = 'UNREGISTERED';
+                return emit(eventData);
+            }
+            const card = rfidRows[0]; const user_id = card.user_id;
+            const [userRows] = await db.query(`SELECT u.*, p.degree, p.branch_name, p.branch_code, d.department_name FROM users u LEFT JOIN programs p ON u.program_id = p.program_id LEFT JOIN departments d ON u.department_id = d.department_id WHERE u.user_id = ?`, [user_id]);
+            if (userRows.length === 0) { eventData.status = 'NO_DETAILS'; return emit(eventData); }
+            eventData.details = userRows[0];
+            // A visit the system closed at closing time still counts as open for a scan from before that time (a replayed
+            // exit); the scan's own time then replaces the automatic one
+            const [openLogins] = await db.query("SELECT log_id FROM attendance_log WHERE user_id = ? AND log_date = ? AND login_time <= ? AND (logout_time IS NULL OR (logout_source = 'SYSTEM' AND logout_time >= ?)) ORDER BY login_time DESC LIMIT 1", [user_id, currentDate, currentTime, currentTime]);
+            const openLog = openLogins.length > 0 ? openLogins[0] : null;
+            // Deactivated users (e.g. dropped by a deactivate-missing import) can still leave but cannot start a visit
+            if (!userRows[0].is_active && !openLog) { eventData.status = 'INACTIVE'; eventData.time = currentTime; return emit(eventData); }
+            // The same goes for temporary/visitor cards past their expiry
+            if (card.expires_at && card.expires_at <= format(now, 'yyyy-MM-dd HH:mm:ss') && !openLog) {
+                eventData.status = 'EXPIRED'; eventData.time = currentTime; eventData.message = `${CARD_TYPES[card.card_type] || 'This'} card expired on ${card.expires_at.slice(0, 10)}. Please contact the library desk.`;
+                return emit(eventData);
+            }
+            // Outside opening hours only a closing-time exit (within the grace window) is accepted
+            const libraryStatus = await getLibraryStatus(db, now);
+            if (!libraryStatus.isOpen && !(libraryStatus.inGrace && openLog && mode !== 'entry')) {
+                const { schedule } = libraryStatus; eventData.status = 'CLOSED'; eventData.time = currentTime;
+                eventData.message = schedule.isOpen ? `Library is closed. Hours today: ${schedule.openTime.slice(0, 5)} - ${schedule.closeTime.slice(0, 5)}.` : `Library is closed today (${schedule.source}).`;
+                return emit(eventData);
+            }
+            // Entry readers never close a visit and exit readers never open one; the mismatch goes to the anomaly queue instead
+            if ((mode === 'entry' && openLog) || (mode === 'exit' && !openLog)) {
+                const anomalyType = openLog ? 'ENTRY_WHILE_INSIDE' : 'EXIT_WITHOUT_ENTRY';
+                await db.query("INSERT INTO scan_anomalies (user_id, uid, reader_id, anomaly_type, scan_date, scan_time, open_log_id) VALUES (?, ?, ?, ?, ?, ?, ?)", [user_id, uid, readerId, anomalyType, currentDate, currentTime, openLog ? openLog.log_id : null]);
+                eventData.status = 'ANOMALY'; eventData.anomaly_type = anomalyType; eventData.time = currentTime; emit(eventData);
+            }
+            else if (openLog) { await db.query("UPDATE attendance_log SET logout_time = ?, logout_reader_id = ?, logout_source = 'SCAN' WHERE log_id = ?", [currentTime, readerId, openLog.log_id]); eventData.status = 'LOGOUT'; eventData.time = currentTime; emit(eventData); if (!isReplay) occupancy.leave(user_id); }
+            else { const [insert] = await db.query("INSERT INTO attendance_log (user_id, log_date, login_time, login_reader_id) VALUES (?, ?, ?, ?)", [user_id, currentDate, currentTime, readerId]); eventData.status = 'LOGIN'; eventData.time = currentTime; emit(eventData); if (!isReplay) { occupancy.enter(userRows[0], { log_id: insert.insertId, login_time: currentTime, reader_id: readerId }); onLogin(); } }
+            return eventData;
+        } catch (error) {
+            if (isReplay) throw error;
+            if (isConnectionError(error)) return bufferScan(uid, reader, now, error);
+            console.error("DB/Logic Error:", error); eventData.status = 'ERROR'; return emitScanEvent(eventData);
+        }
+    }
+
+    // One read from an attendance reader (kiosk readers are handled elsewhere)
+    async function handleScan(uid, reader) {
+        const scannedAt = new Date();
+        if (!journal.acceptScan(uid, scannedAt)) return emitScanEvent({ uid: uid, reader_id: reader.id, location: reader.location, status: 'IGNORED', message: `Duplicate scan. Wait ${debounceMs / 1000}s.` });
+        if (journal.isBuffering()) return bufferScan(uid, reader, scannedAt); // queue behind older scans so they reach the database in order
+        return handleCardScan(uid, reader, scannedAt);
+    }
+
+    return { handleScan, handleCardScan };
+}
+
+module.exports = { createScanHandler };
@@ -0,0 +1,137 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { format } = require('date-fns');
+
+// How often a degraded journal checks whether the database is back
+const RETRY_MS = 10000;
+// mysql2 marks lost connections as fatal; the rest are errors where the same query will work once the server is up
+const TRANSIENT_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'EHOSTUNREACH', 'ENOTFOUND', 'PROTOCOL_CONNECTION_LOST', 'ER_CON_COUNT_ERROR', 'ER_SERVER_SHUTDOWN', 'ER_LOCK_WAIT_TIMEOUT', 'ER_LOCK_DEADLOCK'];
+const isConnectionError = (error) => Boolean(error && (error.fatal || TRANSIENT_CODES.includes(error.code)));
+
+const toDateTime = (value) => format(new Date(value), 'yyyy-MM-dd HH:mm:ss');
+
+// Appends one line and waits for it to reach the disk, so an acknowledged scan survives a power cut
+function appendLine(file, record) {
+    const fd = fs.openSync(file, 'a');
+    try { fs.writeSync(fd, `${JSON.stringify(record)}\n`); fs.fsyncSync(fd); } finally { fs.closeSync(fd); }
+}
+function writeFileAtomic(file, contents) {
+    fs.writeFileSync(`${file}.tmp`, contents); fs.renameSync(`${file}.tmp`, file);
+}
+
+// Scans that could not be written to MySQL, kept on disk until they can. pending.jsonl is append-only: a
+// line per buffered scan and a { done } line once it has been replayed; it is rewritten when it empties.
+// recent.json holds the last accepted scan per card so the duplicate-scan window survives a restart.
+//
+// While anything is pending, new scans queue behind it (isBuffering) so the database sees every scan in the
+// order it happened. prepare() runs before each drain (schema updates that may have missed a startup without
+// the database); replay(entry, connection) must run the scan with its original time on `connection`, return
+// its scan event and throw if it cannot. Each entry is replayed in one transaction together with its
+// scan_replays row, so a crash part-way leaves neither and the entry is simply replayed again, while an entry
+// that has its row was fully applied and is skipped. A connection error stops the drain until the next
+// retry; anything else rolls the scan back, is recorded as FAILED in scan_replays and the drain moves on.
+// Emits 'status' whenever getStatus() changes, 'replayed' with the scan event once an entry's transaction has
+// committed, and 'drained' with the number of entries after a full replay.
+function createScanJournal(dbPool, { dir, debounceMs, prepare, replay }) {
+    const journal = new EventEmitter();
+    const pendingFile = path.join(dir, 'pending.jsonl');
+    const recentFile = path.join(dir, 'recent.json');
+    let pending = []; let recent = {};
+    let degraded = false; let degradedSince = null; let lastError = null;
+    let replaying = false; let retryTimer = null;
+
+    function load() {
+        fs.mkdirSync(dir, { recursive: true });
+        if (fs.existsSync(pendingFile)) {
+            const entries = []; const done = new Set(); let lines = 0;
+            fs.readFileSync(pendingFile, 'utf8').split('\n').filter(Boolean).forEach((line) => {
+                lines++;
+                try { const record = JSON.parse(line); if (record.done) done.add(record.done); else entries.push(record); }
+                catch (error) { console.error(`[Scan Journal] Skipping unreadable line in ${pendingFile}: ${line.slice(0, 100)}`); } // a write cut short by a crash
+            });
+            pending = entries.filter(e => !done.has(e.id));
+            if (lines !== pending.length) writeFileAtomic(pendingFile, pending.map(e => `${JSON.stringify(e)}\n`).join(''));
+            if (pending.length > 0) console.log(`[Scan Journal] ${pending.length} scan(s) waiting to be replayed.`);
+        }
+        try { recent = JSON.parse(fs.readFileSync(recentFile, 'utf8')); } catch (error) { recent = {}; }
+    }
+
+    function emitStatus() { journal.emit('status', journal.getStatus()); }
+
+    function setDegraded(error) {
+        if (!degraded) { degraded = true; degradedSince = toDateTime(Date.now()); console.error(`[Scan Journal] Database unavailable, buffering scans: ${error.code || error.message}`); }
+        lastError = error.code || String(error.message).slice(0, 100);
+        if (!retryTimer) retryTimer = setTimeout(drain, RETRY_MS);
+    }
+
+    async function replayEntry(entry) {
+        const connection = await dbPool.getConnection(); let event = null;
+        try {
+            await connection.beginTransaction();
+            const [done] = await connection.query('SELECT journal_id FROM scan_replays WHERE journal_id = ? FOR UPDATE', [entry.id]);
+            if (done.length > 0) { await connection.rollback(); return; }
+            let outcome;
+            try { event = await replay(entry, connection); outcome = { result: 'REPLAYED', status: event.status, user_id: event.details ? event.details.user_id : null, message: event.message || null }; }
+            catch (error) {
+                if (isConnectionError(error)) throw error;
+                console.error('Scan replay error:', error); outcome = { result: 'FAILED', status: 'ERROR', user_id: null, message: String(error.message).slice(0, 255) };
+                event = null; await connection.rollback(); await connection.beginTransaction(); // keep none of the failed scan's writes
+            }
+            await connection.query('INSERT INTO scan_replays (journal_id, uid, user_id, reader_id, location, scanned_at, buffered_at, result, status, message) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)', [entry.id, entry.uid, outcome.user_id, entry.reader.id, entry.reader.location, toDateTime(entry.scanned_at), toDateTime(entry.buffered_at), outcome.result, outcome.status, outcome.message]);
+            await connection.commit();
+        } catch (error) {
+            await connection.rollback().catch(() => {}); // the connection may be the thing that failed
+            throw error;
+        } finally { connection.release(); }
+        if (event) journal.emit('replayed', event);
+    }
+
+    async function drain() {
+        retryTimer = null; if (replaying) return;
+        replaying = true; emitStatus(); let count = 0;
+        try {
+            await prepare();
+            while (pending.length > 0) { await replayEntry(pending[0]); appendLine(pendingFile, { done: pending[0].id }); pending.shift(); count++; emitStatus(); }
+            writeFileAtomic(pendingFile, '');
+            if (degraded) console.log(`[Scan Journal] Database is back; replayed ${count} scan(s).`);
+            degraded = false; degradedSince = null; lastError = null;
+            if (count > 0) journal.emit('drained', count);
+        } catch (error) {
+            if (!isConnectionError(error)) console.error('Scan journal replay error:', error);
+            setDegraded(error);
+        } finally { replaying = false; emitStatus(); }
+    }
+
+    // Reports whether `uid` may be processed; an accepted scan opens a new debounce window for that card
+    journal.acceptScan = (uid, scannedAt) => {
+        const time = scannedAt.getTime();
+        if (recent[uid] && time - recent[uid] < debounceMs) return false;
+        Object.keys(recent).forEach(key => { if (time - recent[key] >= debounceMs) delete recent[key]; });
+        recent[uid] = time;
+        try { writeFileAtomic(recentFile, JSON.stringify(recent)); } catch (error) { console.error('Scan debounce save error:', error); }
+        return true;
+    };
+
+    journal.isBuffering = () => degraded || pending.length > 0;
+
+    // Stores a scan for later; `error` is the database error that sent it here, if any
+    journal.append = (uid, reader, scannedAt, error) => {
+        const entry = { id: crypto.randomUUID(), uid, reader: { id: reader.id, location: reader.location, mode: reader.mode }, scanned_at: scannedAt.toISOString(), buffered_at: new Date().toISOString() };
+        appendLine(pendingFile, entry); pending.push(entry);
+        if (error) setDegraded(error);
+        else if (!replaying && !retryTimer) retryTimer = setTimeout(drain, 0); // queued behind a drain that has just finished
+        emitStatus();
+        return entry;
+    };
+
+    journal.getStatus = () => ({ degraded, pending: pending.length, replaying, since: degradedSince, lastError });
+    journal.getPending = () => pending.map(e => ({ ...e, scanned_at: toDateTime(e.scanned_at), buffered_at: toDateTime(e.buffered_at) }));
+    journal.start = () => { if (pending.length > 0) drain(); };
+
+    load();
+    return journal;
+}
+
+module.exports = { createScanJournal, isConnectionError };
@@ -0,0 +1,158 @@
+const net = require('net');
+const readline = require('readline');
+const { EventEmitter } = require('events');
+const { SerialPort } = require('serialport');
+const { ReadlineParser } = require('@serialport/parser-readline');
+
+// Backoff between serial reconnect attempts (doubles each failure, capped)
+const RECONNECT_MIN_MS = 2000;
+const RECONNECT_MAX_MS = 30000;
+
+// Gate semantics: 'entry' only opens visits, 'exit' only closes them, 'toggle' flips on whether a visit is open.
+// 'kiosk' readers never touch attendance; a tap shows the card owner's summary on the kiosk page.
+const READER_MODES = ['entry', 'exit', 'toggle', 'kiosk'];
+
+// Builds a function that pulls the card UID out of one line of reader output, or returns null.
+// linePattern (regex string, first capture group is the UID) wins over linePrefix; an empty prefix means the whole line is the UID.
+function createLineMatcher(config, defaultPrefix) {
+    if (config.linePattern) {
+        const pattern = new RegExp(config.linePattern);
+        return (line) => { const match = pattern.exec(line); return match && match[1] ? match[1].trim() : null; };
+    }
+    const prefix = config.linePrefix !== undefined ? config.linePrefix : defaultPrefix;
+    return (line) => {
+        const trimmed = line.trim();
+        if (!trimmed.startsWith(prefix)) return null;
+        const uid = trimmed.slice(prefix.length).trim();
+        return uid || null;
+    };
+}
+
+// Common state + helpers shared by every reader type
+function createBaseReader(config, manager, defaultPrefix) {
+    const matchLine = createLineMatcher(config, defaultPrefix);
+    const reader = {
+        id: config.id,
+        location: config.location || config.id,
+        type: config.type,
+        mode: config.mode || 'toggle',
+        config: config,
+        status: { state: 'stopped', lastError: null, lastConnectedAt: null, lastScanAt: null, reconnectAttempts: 0, scanCount: 0 },
+        setState(state, error) {
+            reader.status.state = state;
+            if (error !== undefined) reader.status.lastError = error;
+            if (state === 'connected' || state === 'listening') reader.status.lastConnectedAt = new Date().toISOString();
+            manager.emit('status', manager.getStatuses());
+        },
+        handleLine(line) {
+            const uid = matchLine(String(line));
+            if (!uid) return;
+            reader.status.lastScanAt = new Date().toISOString();
+            reader.status.scanCount++;
+            manager.emit('scan', uid, reader);
+        }
+    };
+    return reader;
+}
+
+// Hardware reader on a serial port; reconnects by itself when the device drops or is not there yet
+function createSerialReader(config, manager) {
+    const reader = createBaseReader(config, manager, 'RFID Tag UID:');
+    let port = null; let retryTimer = null; let stopped = true;
+
+    function scheduleReconnect(reason) {
+        if (stopped || retryTimer) return;
+        if (port && port.isOpen) port.close(() => {});
+        port = null;
+        const delay = Math.min(RECONNECT_MAX_MS, RECONNECT_MIN_MS * Math.pow(2, reader.status.reconnectAttempts));
+        reader.status.reconnectAttempts++;
+        console.error(`[Reader ${reader.id}] ${reason}. Retrying ${config.path} in ${delay / 1000}s.`);
+        reader.setState('reconnecting', reason);
+        retryTimer = setTimeout(() => { retryTimer = null; connect(); }, delay);
+    }
+
+    function connect() {
+        if (stopped) return;
+        reader.setState('connecting');
+        console.log(`[Reader ${reader.id}] Connecting to ${config.path}...`);
+        try {
+            port = new SerialPort({ path: config.path, baudRate: config.baudRate || 9600, autoOpen: false });
+        } catch (err) { return scheduleReconnect(err.message); }
+        const parser = port.pipe(new ReadlineParser({ delimiter: config.delimiter || '\r\n' }));
+        parser.on('data', reader.handleLine);
+        port.on('close', () => scheduleReconnect('Port closed'));
+        port.on('error', (err) => scheduleReconnect(err.message));
+        port.open((err) => {
+            if (err) return scheduleReconnect(err.message);
+            reader.status.reconnectAttempts = 0;
+            console.log(`[Reader ${reader.id}] Serial port ${config.path} opened.`);
+            reader.setState('connected', null);
+        });
+    }
+
+    reader.start = () => { stopped = false; connect(); };
+    reader.stop = () => {
+        stopped = true; clearTimeout(retryTimer); retryTimer = null;
+        if (port && port.isOpen) port.close(() => {});
+        port = null; reader.setState('stopped');
+    };
+    return reader;
+}
+
+// Software reader for tests and demos: every line received on a TCP connection (and/or stdin) is treated as a scan
+function createVirtualReader(config, manager) {
+    const reader = createBaseReader(config, manager, '');
+    let server = null; let stdinLines = null;
+
+    reader.start = () => {
+        if (config.tcpPort) {
+            server = net.createServer((socket) => {
+                const lines = readline.createInterface({ input: socket });
+                lines.on('line', reader.handleLine);
+                socket.on('error', (err) => console.error(`[Reader ${reader.id}] Client error: ${err.message}`));
+            });
+            server.on('error', (err) => { console.error(`[Reader ${reader.id}] TCP error: ${err.message}`); reader.setState('error', err.message); });
+            server.listen(config.tcpPort, config.host || '127.0.0.1', () => {
+                console.log(`[Reader ${reader.id}] Virtual reader listening on ${config.host || '127.0.0.1'}:${config.tcpPort}.`);
+                reader.setState('listening', null);
+            });
+        }
+        if (config.stdin) {
+            stdinLines = readline.createInterface({ input: process.stdin });
+            stdinLines.on('line', reader.handleLine);
+            console.log(`[Reader ${reader.id}] Virtual reader reading UIDs from stdin.`);
+            if (!config.tcpPort) reader.setState('listening', null);
+        }
+    };
+    reader.stop = () => {
+        if (server) server.close(); server = null;
+        if (stdinLines) stdinLines.close(); stdinLines = null;
+        reader.setState('stopped');
+    };
+    return reader;
+}
+
+const READER_TYPES = { serial: createSerialReader, virtual: createVirtualReader };
+
+// Runs every configured reader. Emits 'scan' (uid, reader) and 'status' (array of reader health snapshots).
+function createScanSourceManager(readerConfigs) {
+    const manager = new EventEmitter();
+    const readers = [];
+
+    manager.getStatuses = () => readers.map(r => ({ id: r.id, location: r.location, type: r.type, mode: r.mode, ...r.status }));
+    manager.getReader = (id) => readers.find(r => r.id === id) || null;
+    manager.start = () => readers.forEach(r => r.start());
+    manager.stop = () => readers.forEach(r => r.stop());
+
+    for (const config of readerConfigs) {
+        const factory = READER_TYPES[config.type || 'serial'];
+        if (!config.id) { console.error('[Readers] Skipping reader without an id:', config); continue; }
+        if (!factory) { console.error(`[Readers] Unknown reader type '${config.type}' for ${config.id}.`); continue; }
+        if (readers.some(r => r.id === config.id)) { console.error(`[Readers] Duplicate reader id '${config.id}'.`); continue; }
+        if (config.mode && !READER_MODES.includes(config.mode)) { console.error(`[Readers] Unknown mode '${config.mode}' for ${config.id}.`); continue; }
+        readers.push(factory({ type: 'serial', ...config }, manager));
+    }
+    return manager;
+}
+
+module.exports = { createScanSourceManager, createLineMatcher };
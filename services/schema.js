@@ -0,0 +1,206 @@
+// Additive schema changes applied on startup. The original tables (users, programs, departments,
+// rfid_details, attendance_log, credentials) are created by hand; everything here is safe to re-run.
+
+const TABLES = [
+    `CREATE TABLE IF NOT EXISTS scan_anomalies (
+        anomaly_id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id VARCHAR(50) NOT NULL,
+        uid VARCHAR(50) NOT NULL,
+        reader_id VARCHAR(50) NULL,
+        anomaly_type VARCHAR(30) NOT NULL,
+        scan_date DATE NOT NULL,
+        scan_time TIME NOT NULL,
+        open_log_id INT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'OPEN',
+        resolution_note VARCHAR(255) NULL,
+        resolved_by VARCHAR(50) NULL,
+        resolved_at DATETIME NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_anomaly_status (status, scan_date)
+    )`,
+    `CREATE TABLE IF NOT EXISTS library_hours (
+        weekday TINYINT PRIMARY KEY,
+        is_closed TINYINT(1) NOT NULL DEFAULT 0,
+        open_time TIME NOT NULL DEFAULT '08:00:00',
+        close_time TIME NOT NULL DEFAULT '19:00:00'
+    )`,
+    `CREATE TABLE IF NOT EXISTS library_calendar_exceptions (
+        exception_id INT AUTO_INCREMENT PRIMARY KEY,
+        start_date DATE NOT NULL,
+        end_date DATE NOT NULL,
+        exception_type VARCHAR(20) NOT NULL,
+        open_time TIME NULL,
+        close_time TIME NULL,
+        description VARCHAR(255) NULL,
+        created_by VARCHAR(50) NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_exception_dates (start_date, end_date)
+    )`,
+    `CREATE TABLE IF NOT EXISTS audit_log (
+        audit_id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        occurred_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        actor_username VARCHAR(50) NULL,
+        actor_role VARCHAR(20) NULL,
+        action VARCHAR(50) NOT NULL,
+        entity_type VARCHAR(30) NOT NULL,
+        entity_id VARCHAR(100) NULL,
+        before_json MEDIUMTEXT NULL,
+        after_json MEDIUMTEXT NULL,
+        details VARCHAR(255) NULL,
+        ip_address VARCHAR(45) NULL,
+        INDEX idx_audit_time (occurred_at),
+        INDEX idx_audit_entity (entity_type, entity_id),
+        INDEX idx_audit_actor (actor_username)
+    )`,
+    `CREATE TABLE IF NOT EXISTS library_settings (
+        setting_key VARCHAR(50) PRIMARY KEY,
+        setting_value VARCHAR(255) NOT NULL,
+        updated_by VARCHAR(50) NULL,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+    )`,
+    `CREATE TABLE IF NOT EXISTS api_tokens (
+        token_id INT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(100) NOT NULL,
+        token_prefix VARCHAR(16) NOT NULL,
+        token_hash CHAR(64) NOT NULL UNIQUE,
+        scopes VARCHAR(255) NOT NULL,
+        created_by VARCHAR(50) NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        expires_at DATETIME NULL,
+        last_used_at DATETIME NULL,
+        revoked_at DATETIME NULL,
+        revoked_by VARCHAR(50) NULL
+    )`,
+    `CREATE TABLE IF NOT EXISTS webhooks (
+        webhook_id INT AUTO_INCREMENT PRIMARY KEY,
+        url VARCHAR(500) NOT NULL,
+        secret VARCHAR(100) NOT NULL,
+        statuses VARCHAR(255) NULL,
+        is_active TINYINT(1) NOT NULL DEFAULT 1,
+        created_by VARCHAR(50) NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_delivery_at DATETIME NULL,
+        last_status VARCHAR(100) NULL
+    )`,
+    `CREATE TABLE IF NOT EXISTS rfid_card_history (
+        history_id INT AUTO_INCREMENT PRIMARY KEY,
+        uid VARCHAR(50) NOT NULL,
+        user_id VARCHAR(50) NOT NULL,
+        card_type VARCHAR(20) NOT NULL DEFAULT 'PERMANENT',
+        expires_at DATETIME NULL,
+        assigned_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        assigned_by VARCHAR(50) NULL,
+        released_at DATETIME NULL,
+        released_by VARCHAR(50) NULL,
+        release_reason VARCHAR(20) NULL,
+        is_blocked TINYINT(1) NOT NULL DEFAULT 0,
+        INDEX idx_card_history_uid (uid, is_blocked),
+        INDEX idx_card_history_user (user_id)
+    )`,
+    `CREATE TABLE IF NOT EXISTS scan_replays (
+        journal_id CHAR(36) PRIMARY KEY,
+        uid VARCHAR(50) NOT NULL,
+        user_id VARCHAR(50) NULL,
+        reader_id VARCHAR(50) NULL,
+        location VARCHAR(100) NULL,
+        scanned_at DATETIME NOT NULL,
+        buffered_at DATETIME NOT NULL,
+        replayed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        result VARCHAR(20) NOT NULL,
+        status VARCHAR(20) NOT NULL,
+        message VARCHAR(255) NULL,
+        INDEX idx_scan_replays_result (result, scanned_at)
+    )`
+];
+
+// Default rows so every weekday has hours (0 = Sunday)
+const SEEDS = [
+    'INSERT IGNORE INTO library_hours (weekday) VALUES (0), (1), (2), (3), (4), (5), (6)',
+    // Cards bound before the history existed get an open history row; their real assignment date is unknown
+    'INSERT INTO rfid_card_history (uid, user_id, card_type, expires_at) SELECT r.uid, r.user_id, r.card_type, r.expires_at FROM rfid_details r WHERE NOT EXISTS (SELECT 1 FROM rfid_card_history h WHERE h.uid = r.uid AND h.user_id = r.user_id AND h.released_at IS NULL)'
+];
+
+// [table, column, definition]
+const COLUMNS = [
+    ['attendance_log', 'login_reader_id', 'VARCHAR(50) NULL'],
+    ['attendance_log', 'logout_reader_id', 'VARCHAR(50) NULL'],
+    ['attendance_log', 'logout_source', 'VARCHAR(20) NULL'],
+    ['credentials', 'is_active', 'TINYINT(1) NOT NULL DEFAULT 1'],
+    ['credentials', 'failed_attempts', 'INT NOT NULL DEFAULT 0'],
+    ['credentials', 'locked_until', 'DATETIME NULL'],
+    ['credentials', 'last_login_at', 'DATETIME NULL'],
+    ['credentials', 'must_change_password', 'TINYINT(1) NOT NULL DEFAULT 0'],
+    ['users', 'is_active', 'TINYINT(1) NOT NULL DEFAULT 1'],
+    ['users', 'graduated_on', 'DATE NULL'],
+    ['programs', 'duration_years', 'TINYINT NULL'],
+    ['programs', 'is_active', 'TINYINT(1) NOT NULL DEFAULT 1'],
+    ['programs', 'last_promoted_on', 'DATE NULL'],
+    ['departments', 'is_active', 'TINYINT(1) NOT NULL DEFAULT 1'],
+    ['rfid_details', 'card_type', "VARCHAR(20) NOT NULL DEFAULT 'PERMANENT'"],
+    ['rfid_details', 'expires_at', 'DATETIME NULL']
+];
+
+// [table, column, needsChange(information_schema row), new definition]
+const MODIFIED_COLUMNS = [
+    ['credentials', 'password', (c) => c.DATA_TYPE !== 'varchar' || c.CHARACTER_MAXIMUM_LENGTH < 255, 'VARCHAR(255) NOT NULL'], // room for scrypt hashes
+    ['credentials', 'role', (c) => c.DATA_TYPE === 'enum', 'VARCHAR(20) NULL']
+];
+
+// Role values from before services/auth.js defined admin/librarian/viewer, mapped case-insensitively
+const ROLE_RENAMES = {
+    admin: ['admin', 'administrator', 'superadmin', 'super_admin', 'super admin'],
+    librarian: ['librarian', 'staff', 'library', 'library_staff', 'library staff'],
+    viewer: ['viewer', 'user', 'guest', 'readonly', 'read_only', 'read only']
+};
+
+// Set in library_settings once the legacy roles have been rewritten, so later startups only report what is left
+const ROLES_MIGRATED_KEY = 'roles_migrated';
+
+// Runs once. Every account had full access before roles existed, so if no active admin is left afterwards the
+// active accounts whose role matches none of these become admins. After that, roles are only changed under
+// Accounts: an active account with no recognised role is reported at startup and keeps no access until one is set.
+async function migrateRoles(dbPool) {
+    const known = Object.keys(ROLE_RENAMES);
+    const [migrated] = await dbPool.query('SELECT 1 FROM library_settings WHERE setting_key = ?', [ROLES_MIGRATED_KEY]);
+    if (migrated.length === 0) {
+        for (const [role, legacy] of Object.entries(ROLE_RENAMES)) {
+            const [result] = await dbPool.query('UPDATE credentials SET role = ? WHERE LOWER(TRIM(role)) IN (?) AND CAST(role AS BINARY) <> ?', [role, legacy, role]);
+            if (result.affectedRows > 0) console.log(`[Schema] Set role '${role}' on ${result.affectedRows} account(s)`);
+        }
+        const [admins] = await dbPool.query("SELECT 1 FROM credentials WHERE role = 'admin' AND is_active = 1 LIMIT 1");
+        if (admins.length === 0) {
+            const [orphans] = await dbPool.query('SELECT username FROM credentials WHERE is_active = 1 AND (role IS NULL OR role NOT IN (?))', [known]);
+            if (orphans.length > 0) {
+                await dbPool.query("UPDATE credentials SET role = 'admin' WHERE is_active = 1 AND (role IS NULL OR role NOT IN (?))", [known]);
+                console.log(`[Schema] No admin account found; made ${orphans.map(a => a.username).join(', ')} admin`);
+            }
+        }
+        await dbPool.query("INSERT INTO library_settings (setting_key, setting_value, updated_by) VALUES (?, '1', 'system')", [ROLES_MIGRATED_KEY]);
+    }
+    const [unknown] = await dbPool.query('SELECT username, role FROM credentials WHERE is_active = 1 AND (role IS NULL OR role NOT IN (?))', [known]);
+    if (unknown.length > 0) console.warn(`[Schema] Accounts with no recognised role (no access until one is set under Accounts): ${unknown.map(a => `${a.username} (${a.role})`).join(', ')}`);
+}
+
+async function addColumnIfMissing(dbPool, table, column, definition) {
+    const [rows] = await dbPool.query('SELECT 1 FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?', [table, column]);
+    if (rows.length > 0) return;
+    await dbPool.query(`ALTER TABLE \`${table}\` ADD COLUMN \`${column}\` ${definition}`);
+    console.log(`[Schema] Added ${table}.${column}`);
+}
+
+async function modifyColumnIfNeeded(dbPool, table, column, needsChange, definition) {
+    const [rows] = await dbPool.query('SELECT DATA_TYPE, CHARACTER_MAXIMUM_LENGTH FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?', [table, column]);
+    if (rows.length === 0 || !needsChange(rows[0])) return;
+    await dbPool.query(`ALTER TABLE \`${table}\` MODIFY COLUMN \`${column}\` ${definition}`);
+    console.log(`[Schema] Changed ${table}.${column} to ${definition}`);
+}
+
+async function ensureSchema(dbPool) {
+    for (const ddl of TABLES) await dbPool.query(ddl);
+    for (const [table, column, definition] of COLUMNS) await addColumnIfMissing(dbPool, table, column, definition);
+    for (const [table, column, needsChange, definition] of MODIFIED_COLUMNS) await modifyColumnIfNeeded(dbPool, table, column, needsChange, definition);
+    for (const seed of SEEDS) await dbPool.query(seed);
+    await migrateRoles(dbPool);
+}
+
+module.exports = { ensureSchema };
@@ -0,0 +1,60 @@
+const { can } = require('./auth');
+const { isConnectionError } = require('./scan-journal');
+
+// How long an account's role and status are trusted before credentials is read again
+const ACCOUNT_CHECK_MS = 30 * 1000;
+
+// Middleware for the admin pages. Role, active flag and the forced password change are read from credentials
+// rather than trusted from the session, so an admin's change applies to sessions that are already signed in;
+// a disabled or deleted account loses its session. The row is kept for ACCOUNT_CHECK_MS so a page with many
+// requests does not cost a query each, and forgetAccount(username) drops it at once after a change to that account.
+function createSessionAuth(dbPool) {
+    const checked = new Map(); // username -> { account, checkedAt }
+
+    async function loadAccount(username) {
+        const cached = checked.get(username);
+        if (cached && Date.now() - cached.checkedAt < ACCOUNT_CHECK_MS) return cached.account;
+        const [rows] = await dbPool.query('SELECT role, is_active, must_change_password FROM credentials WHERE username = ?', [username]);
+        const account = rows.length > 0 ? rows[0] : null;
+        checked.set(username, { account, checkedAt: Date.now() });
+        return account;
+    }
+
+    function forgetAccount(username) { checked.delete(username); }
+
+    async function isAuthenticated(req, res, next) {
+        console.log(`[Auth Check] Path: ${req.path}, Session User:`, req.session.user); // Log session check
+        if (!req.session.user) {
+            console.log('[Auth Check] Redirecting to login.'); // Log redirect reason
+            return res.redirect('/login?error=Please login to access this page.'); // Not logged in, redirect
+        }
+        let account;
+        try { account = await loadAccount(req.session.user.username); }
+        catch (error) {
+            // While MySQL is unreachable the session keeps the role it already has, so the pages that work without the
+            // database (the scan journal during an outage) stay open to the staff who need them
+            if (!isConnectionError(error)) { console.error('[Auth Check] Could not read credentials:', error); return res.status(500).send('Could not check your account. Please try again in a moment.'); }
+            console.warn(`[Auth Check] Database unavailable (${error.code || error.message}); using the session role for ${req.session.user.username}.`);
+            account = { role: req.session.user.role, is_active: 1, must_change_password: req.session.user.mustChangePassword };
+        }
+        if (!account || !account.is_active) {
+            console.log(`[Auth Check] Ending session of ${req.session.user.username}: account ${account ? 'disabled' : 'removed'}.`);
+            return req.session.destroy(() => { res.clearCookie('connect.sid'); res.redirect('/login?error=Your account is no longer active.'); });
+        }
+        req.session.user.role = account.role; req.session.user.mustChangePassword = Boolean(account.must_change_password);
+        // Accounts given a temporary password by an admin must pick their own before doing anything else
+        if (req.session.user.mustChangePassword && req.path !== '/account/password') return res.redirect('/account/password?error=Please choose a new password.');
+        next(); // User is logged in, proceed
+    }
+
+    // Role check on top of isAuthenticated; permissions per role are listed in services/auth.js
+    const requirePermission = (permission) => (req, res, next) => isAuthenticated(req, res, () => {
+        if (can(req.session.user.role, permission)) return next();
+        console.log(`[Auth Check] Denied '${permission}' to ${req.session.user.username} (${req.session.user.role}) on ${req.path}`);
+        res.status(403).send('You do not have permission to access this page.');
+    });
+
+    return { isAuthenticated, requirePermission, forgetAccount };
+}
+
+module.exports = { createSessionAuth };
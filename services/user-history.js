@@ -0,0 +1,111 @@
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+const { format } = require('date-fns');
+const { getOpenDates } = require('./library-calendar');
+const { logoutTypeLabel } = require('./analytics');
+
+// Semesters by calendar month: January-June is the even semester, July-December the odd one
+const SEMESTERS = [{ label: 'Even Semester', startMonth: 1, endMonth: 6 }, { label: 'Odd Semester', startMonth: 7, endMonth: 12 }];
+const DWELL_MINUTES = 'TIME_TO_SEC(TIMEDIFF(logout_time, login_time)) / 60';
+
+const toHours = (minutes) => Math.round((minutes / 60) * 10) / 10;
+
+function getSemesterRange(date) {
+    const month = date.getMonth() + 1; const year = date.getFullYear();
+    const semester = SEMESTERS.find(s => month >= s.startMonth && month <= s.endMonth);
+    return { from: format(new Date(year, semester.startMonth - 1, 1), 'yyyy-MM-dd'), to: format(new Date(year, semester.endMonth, 0), 'yyyy-MM-dd'), label: `${semester.label} ${year}` };
+}
+
+// A streak is a run of library open days with at least one visit each; closed days (Sundays, holidays) are skipped
+// rather than breaking it. Today only extends a streak, so it is not lost before the student has come in.
+function computeStreaks(visitDates, openDates, today) {
+    const days = [...new Set([...openDates, ...visitDates])].filter(d => d <= today).sort();
+    const monthly = {}; let run = 0; let monthRun = 0; let month = null; let longest = 0;
+    for (const day of days) {
+        const dayMonth = day.slice(0, 7); if (dayMonth !== month) { month = dayMonth; monthRun = 0; }
+        if (visitDates.has(day)) { run++; monthRun++; }
+        else if (day !== today) { run = 0; monthRun = 0; }
+        longest = Math.max(longest, run); monthly[dayMonth] = Math.max(monthly[dayMonth] || 0, monthRun);
+    }
+    return { current: run, longest, monthly };
+}
+
+// Everything the profile page, its exports and the kiosk need for one user over a date range
+async function getUserHistory(dbPool, userId, { from, to }, now = new Date()) {
+    const [userRows] = await dbPool.query('SELECT u.*, p.degree, p.branch_name, p.branch_code, d.department_name FROM users u LEFT JOIN programs p ON u.program_id = p.program_id LEFT JOIN departments d ON u.department_id = d.department_id WHERE u.user_id = ?', [userId]);
+    if (userRows.length === 0) return null;
+    const user = userRows[0]; const today = format(now, 'yyyy-MM-dd');
+    const [cardRows] = await dbPool.query('SELECT uid FROM rfid_details WHERE user_id = ?', [userId]);
+    const [visits] = await dbPool.query(`SELECT log_id, DATE_FORMAT(log_date, '%Y-%m-%d') AS log_date, TIME_FORMAT(login_time, '%H:%i:%s') AS login_time, TIME_FORMAT(logout_time, '%H:%i:%s') AS logout_time, logout_source, login_reader_id, logout_reader_id, ${DWELL_MINUTES} AS minutes FROM attendance_log WHERE user_id = ? AND log_date BETWEEN ? AND ? ORDER BY log_date DESC, login_time DESC`, [userId, from, to]);
+    const [openRows] = await dbPool.query("SELECT TIME_FORMAT(login_time, '%H:%i:%s') AS login_time, login_reader_id FROM attendance_log WHERE user_id = ? AND log_date = ? AND logout_time IS NULL ORDER BY login_time DESC LIMIT 1", [userId, today]);
+    const [lastRows] = await dbPool.query("SELECT DATE_FORMAT(log_date, '%Y-%m-%d') AS log_date, TIME_FORMAT(login_time, '%H:%i:%s') AS login_time, TIME_FORMAT(logout_time, '%H:%i:%s') AS logout_time FROM attendance_log WHERE user_id = ? ORDER BY log_date DESC, login_time DESC LIMIT 1", [userId]);
+
+    visits.forEach(v => { v.minutes = v.minutes === null ? null : Math.round(Number(v.minutes) * 10) / 10; });
+    const finished = visits.filter(v => v.minutes !== null);
+    const totalMinutes = finished.reduce((sum, v) => sum + v.minutes, 0);
+    const visitDates = new Set(visits.map(v => v.log_date));
+    const streaks = computeStreaks(visitDates, await getOpenDates(dbPool, from, to < today ? to : today), today);
+
+    const months = {};
+    visits.forEach(v => {
+        const key = v.log_date.slice(0, 7); const m = months[key] || (months[key] = { month: key, visits: 0, dates: new Set(), minutes: 0 });
+        m.visits++; m.dates.add(v.log_date); m.minutes += v.minutes || 0;
+    });
+
+    return {
+        user, card: cardRows.length > 0 ? cardRows[0].uid : null, range: { from, to },
+        status: openRows.length > 0 ? { inside: true, since: openRows[0].login_time, readerId: openRows[0].login_reader_id } : { inside: false, lastVisit: lastRows[0] || null },
+        totals: { visits: visits.length, days: visitDates.size, hours: toHours(totalMinutes), avgMinutes: finished.length ? Math.round(totalMinutes / finished.length) : 0 },
+        streaks: { current: streaks.current, longest: streaks.longest },
+        months: Object.values(months).sort((a, b) => b.month.localeCompare(a.month)).map(m => ({ month: m.month, visits: m.visits, days: m.dates.size, hours: toHours(m.minutes), longestStreak: streaks.monthly[m.month] || 0 })),
+        visits
+    };
+}
+
+// The public kiosk only shows the person their own totals, never card numbers or the full visit list. Anyone can
+// type an ID, so only a card tap (`masked` false) shows the name, program, whether they are inside and recent visits;
+// a typed ID gets initials and the totals.
+function toKioskSummary(history, semesterLabel, masked = false) {
+    const { user } = history;
+    const summary = { user_id: user.user_id, user_name: user.user_name, group: groupName(user), semester: semesterLabel, totals: history.totals, streaks: history.streaks, status: history.status, recentVisits: history.visits.slice(0, 5).map(v => ({ log_date: v.log_date, login_time: v.login_time, logout_time: v.logout_time })) };
+    if (!masked) return summary;
+    const initials = String(user.user_name || '').split(/\s+/).filter(Boolean).map(word => `${word[0].toUpperCase()}.`).join(' ');
+    return { ...summary, user_name: initials, group: null, status: null, recentVisits: [], masked: true };
+}
+
+function groupName(user) { return user.user_type === 'student' ? [user.degree, user.branch_code].filter(Boolean).join(' ') : user.department_name; }
+
+function buildHistoryWorkbook(history) {
+    const { user, totals, streaks, range } = history; const workbook = new ExcelJS.Workbook();
+    const summary = workbook.addWorksheet('Summary'); summary.columns = [{ header: 'Field', key: 'field', width: 25 }, { header: 'Value', key: 'value', width: 35 }];
+    [['User ID', user.user_id], ['Name', user.user_name], [user.user_type === 'student' ? 'Program' : 'Department', groupName(user)], ['From', range.from], ['To', range.to], ['Visits', totals.visits], ['Days Visited', totals.days], ['Total Hours', totals.hours], ['Avg Minutes / Visit', totals.avgMinutes], ['Current Streak (days)', streaks.current], ['Longest Streak (days)', streaks.longest]]
+        .forEach(([field, value]) => summary.addRow({ field, value }));
+    const monthly = workbook.addWorksheet('Monthly'); monthly.columns = [{ header: 'Month', key: 'month', width: 12 }, { header: 'Visits', key: 'visits', width: 10 }, { header: 'Days', key: 'days', width: 10 }, { header: 'Hours', key: 'hours', width: 10 }, { header: 'Longest Streak', key: 'longestStreak', width: 15 }];
+    history.months.forEach(m => monthly.addRow(m));
+    const visits = workbook.addWorksheet('Visits'); visits.columns = [{ header: 'Date', key: 'log_date', width: 14 }, { header: 'Login Time', key: 'login_time', width: 12 }, { header: 'Logout Time', key: 'logout_time', width: 12 }, { header: 'Minutes', key: 'minutes', width: 10 }, { header: 'Logout Type', key: 'logout_type', width: 15 }, { header: 'Entry Reader', key: 'login_reader_id', width: 15 }, { header: 'Exit Reader', key: 'logout_reader_id', width: 15 }];
+    history.visits.forEach(v => visits.addRow({ ...v, logout_time: v.logout_time || 'N/A', logout_type: logoutTypeLabel(v) }));
+    [summary, monthly, visits].forEach(sheet => { sheet.getRow(1).font = { bold: true }; });
+    return workbook;
+}
+
+// Writes a printable history to `stream` (the response); a plain table, one line per visit
+function writeHistoryPdf(history, stream) {
+    const { user, totals, streaks, range } = history;
+    const doc = new PDFDocument({ size: 'A4', margin: 40 }); doc.pipe(stream);
+    doc.fontSize(16).text('Library Attendance History', { align: 'center' }).moveDown(0.5);
+    doc.fontSize(11).text(`${user.user_name} (${user.user_id})`, { align: 'center' }).text(`${groupName(user) || ''}`, { align: 'center' }).text(`${range.from} to ${range.to}`, { align: 'center' }).moveDown();
+    doc.text(`Visits: ${totals.visits}    Days visited: ${totals.days}    Total hours: ${totals.hours}    Avg minutes/visit: ${totals.avgMinutes}`);
+    doc.text(`Current streak: ${streaks.current} days    Longest streak: ${streaks.longest} days`).moveDown();
+
+    const columns = [['Date', 40], ['Login', 140], ['Logout', 220], ['Minutes', 300], ['Logout Type', 370]];
+    const header = () => { const y = doc.y; doc.font('Helvetica-Bold'); columns.forEach(([label, x]) => doc.text(label, x, y)); doc.font('Helvetica').moveDown(0.3); };
+    header();
+    history.visits.forEach(v => {
+        if (doc.y > doc.page.height - 60) { doc.addPage(); header(); }
+        const y = doc.y; [v.log_date, v.login_time, v.logout_time || 'N/A', v.minutes === null ? '' : String(v.minutes), logoutTypeLabel(v)].forEach((value, i) => doc.text(value, columns[i][1], y));
+    });
+    if (history.visits.length === 0) doc.text('No visits in this period.', 40);
+    doc.end();
+}
+
+module.exports = { getSemesterRange, getUserHistory, toKioskSummary, buildHistoryWorkbook, writeHistoryPdf };
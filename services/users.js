@@ -0,0 +1,61 @@
+// User directory queries for the admin list page and the semester-end promotion
+
+// Promotion moves everyone up a year and cannot be undone, so a program promoted within this many days is refused
+const PROMOTION_INTERVAL_DAYS = 300;
+class PromotionError extends Error {}
+
+const USER_FROM = 'FROM users u LEFT JOIN programs p ON u.program_id = p.program_id LEFT JOIN departments d ON u.department_id = d.department_id LEFT JOIN rfid_details r ON r.user_id = u.user_id';
+
+function buildUserFilter(filters) {
+    const clauses = []; const params = [];
+    if (filters.user_type) { clauses.push('u.user_type = ?'); params.push(filters.user_type); }
+    if (filters.program_id) { clauses.push('u.program_id = ?'); params.push(filters.program_id); }
+    if (filters.department_id) { clauses.push('u.department_id = ?'); params.push(filters.department_id); }
+    if (filters.year) { clauses.push('u.year = ?'); params.push(filters.year); }
+    if (filters.status !== 'all') clauses.push(filters.status === 'inactive' ? 'u.is_active = 0' : 'u.is_active = 1');
+    if (filters.q) { const like = `%${filters.q.trim()}%`; clauses.push('(u.user_id LIKE ? OR u.user_name LIKE ? OR r.uid = ?)'); params.push(like, like, filters.q.trim()); }
+    return { where: clauses.length ? `WHERE ${clauses.join(' AND ')}` : '', params };
+}
+
+async function searchUsers(dbPool, filters, { limit, offset }) {
+    const { where, params } = buildUserFilter(filters);
+    const [[{ total }]] = await dbPool.query(`SELECT COUNT(*) AS total ${USER_FROM} ${where}`, params);
+    const [rows] = await dbPool.query(`SELECT u.user_id, u.user_type, u.user_name, u.year, u.designation, u.is_active, DATE_FORMAT(u.graduated_on, '%Y-%m-%d') AS graduated_on, p.degree, p.branch_code, d.department_name, r.uid, r.card_type, (r.expires_at IS NOT NULL AND r.expires_at <= NOW()) AS card_expired ${USER_FROM} ${where} ORDER BY u.user_type DESC, u.user_id LIMIT ? OFFSET ?`, [...params, limit, offset]);
+    return { total, rows };
+}
+
+// Active students per program and year, with what a promotion would do to them. Programs without a
+// duration_years cannot be promoted because there is no way to tell who is in the final year, nor can one
+// promoted within PROMOTION_INTERVAL_DAYS (promotedRecently).
+async function getPromotionPlan(dbPool) {
+    const [rows] = await dbPool.query("SELECT p.program_id, p.degree, p.branch_name, p.branch_code, p.duration_years, DATE_FORMAT(p.last_promoted_on, '%Y-%m-%d') AS last_promoted_on, (p.last_promoted_on IS NOT NULL AND p.last_promoted_on > CURDATE() - INTERVAL ? DAY) AS promoted_recently, u.year, COUNT(u.user_id) AS students FROM programs p JOIN users u ON u.program_id = p.program_id AND u.user_type = 'student' AND u.is_active = 1 AND u.year IS NOT NULL GROUP BY p.program_id, p.degree, p.branch_name, p.branch_code, p.duration_years, p.last_promoted_on, u.year ORDER BY p.degree, p.branch_code, u.year", [PROMOTION_INTERVAL_DAYS]);
+    const programs = new Map();
+    rows.forEach(row => {
+        const program = programs.get(row.program_id) || { program_id: row.program_id, label: `${row.degree} ${row.branch_code}`, branch_name: row.branch_name, duration_years: row.duration_years, lastPromotedOn: row.last_promoted_on, promotedRecently: Boolean(row.promoted_recently), byYear: {}, toPromote: 0, toGraduate: 0 };
+        program.byYear[row.year] = row.students;
+        if (row.duration_years) { if (row.year >= row.duration_years) program.toGraduate += row.students; else program.toPromote += row.students; }
+        programs.set(row.program_id, program);
+    });
+    return [...programs.values()];
+}
+
+// Final-year students (year >= duration) are graduated: deactivated and stamped with today's date. Everyone
+// else moves up a year. Run on a connection inside a transaction; returns what happened per program. Throws
+// PromotionError, changing nothing, if any of the programs was already promoted within PROMOTION_INTERVAL_DAYS.
+async function applyPromotion(db, programIds) {
+    const [programs] = await db.query("SELECT program_id, CONCAT(degree, ' ', branch_code) AS label, duration_years, DATE_FORMAT(last_promoted_on, '%Y-%m-%d') AS last_promoted_on, (last_promoted_on IS NOT NULL AND last_promoted_on > CURDATE() - INTERVAL ? DAY) AS promoted_recently FROM programs WHERE program_id IN (?) AND duration_years IS NOT NULL FOR UPDATE", [PROMOTION_INTERVAL_DAYS, programIds]);
+    const repeated = programs.filter(p => p.promoted_recently);
+    if (repeated.length > 0) throw new PromotionError(`Already promoted this year: ${repeated.map(p => `${p.label} on ${p.last_promoted_on}`).join(', ')}.`);
+    const results = [];
+    for (const program of programs) {
+        const [graduating] = await db.query("SELECT user_id FROM users WHERE program_id = ? AND user_type = 'student' AND is_active = 1 AND year >= ? FOR UPDATE", [program.program_id, program.duration_years]);
+        const graduated = graduating.map(r => r.user_id);
+        if (graduated.length > 0) await db.query('UPDATE users SET is_active = 0, graduated_on = CURDATE() WHERE user_id IN (?)', [graduated]);
+        const [promoted] = await db.query("UPDATE users SET year = year + 1 WHERE program_id = ? AND user_type = 'student' AND is_active = 1 AND year < ?", [program.program_id, program.duration_years]);
+        await db.query('UPDATE programs SET last_promoted_on = CURDATE() WHERE program_id = ?', [program.program_id]);
+        results.push({ program_id: program.program_id, label: program.label, promoted: promoted.affectedRows, graduated });
+    }
+    return results;
+}
+
+module.exports = { PROMOTION_INTERVAL_DAYS, PromotionError, searchUsers, getPromotionPlan, applyPromotion };
@@ -0,0 +1,79 @@
+const crypto = require('crypto');
+const { format } = require('date-fns');
+
+// A failed delivery is tried again after each of these delays, then dropped. Retries live in memory only,
+// so a restart loses any that are still waiting.
+const RETRY_DELAYS_MS = [5000, 30000, 120000];
+const DELIVERY_TIMEOUT_MS = 5000;
+// scan_event statuses a hook can subscribe to; an empty filter means all of them
+const SCAN_STATUSES = ['LOGIN', 'LOGOUT', 'ANOMALY', 'CLOSED', 'UNREGISTERED', 'NO_DETAILS', 'INACTIVE', 'BLOCKED', 'EXPIRED', 'IGNORED', 'BUFFERED', 'ERROR'];
+
+// What a scan_event delivery carries (the ScanWebhook schema in services/openapi.js). The dashboards get the full
+// users row; receivers outside the system only get these fields of it.
+const EVENT_FIELDS = ['uid', 'reader_id', 'location', 'status', 'time', 'message', 'anomaly_type', 'replayed', 'scanned_at'];
+const DETAIL_FIELDS = ['user_id', 'user_type', 'user_name', 'year', 'degree', 'branch_code', 'designation', 'department_name'];
+const pick = (object, fields) => Object.fromEntries(fields.filter(f => object[f] !== undefined).map(f => [f, object[f]]));
+const toScanEventData = (event) => ({ ...pick(event, EVENT_FIELDS), ...(event.details ? { details: pick(event.details, DETAIL_FIELDS) } : {}) });
+
+const newSecret = () => `whsec_${crypto.randomBytes(20).toString('hex')}`;
+// Receivers verify X-Library-Signature by computing the same HMAC over the raw request body
+const sign = (secret, body) => `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+
+async function listWebhooks(dbPool) {
+    const [rows] = await dbPool.query('SELECT webhook_id, url, statuses, is_active, created_by, created_at, last_delivery_at, last_status FROM webhooks ORDER BY created_at DESC');
+    return rows.map(r => ({ ...r, statuses: r.statuses ? r.statuses.split(',') : [] }));
+}
+
+async function createWebhook(db, { url, statuses }, username) {
+    const secret = newSecret();
+    const [result] = await db.query('INSERT INTO webhooks (url, secret, statuses, created_by) VALUES (?, ?, ?, ?)', [url, secret, statuses.length ? statuses.join(',') : null, username]);
+    return { webhookId: result.insertId, secret };
+}
+
+// Posts scan events to every active hook. The hook list is cached and must be reloaded after it is edited.
+function createWebhookDispatcher(dbPool) {
+    let hooks = null;
+
+    async function getHooks() {
+        if (!hooks) { const [rows] = await dbPool.query('SELECT webhook_id, url, secret, statuses FROM webhooks WHERE is_active = 1'); hooks = rows.map(r => ({ ...r, statuses: r.statuses ? r.statuses.split(',') : [] })); }
+        return hooks;
+    }
+
+    async function post(hook, payload) {
+        const body = JSON.stringify(payload);
+        try {
+            const response = await fetch(hook.url, { method: 'POST', body, signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS), headers: { 'Content-Type': 'application/json', 'User-Agent': 'library-attendance-webhooks', 'X-Library-Event': payload.event, 'X-Library-Delivery': payload.id, 'X-Library-Signature': sign(hook.secret, body) } });
+            return { ok: response.ok, status: `HTTP ${response.status}` };
+        } catch (error) { return { ok: false, status: error.name === 'TimeoutError' ? 'Timed out' : String(error.message).slice(0, 100) }; }
+    }
+
+    async function recordResult(hook, result) {
+        try { await dbPool.query('UPDATE webhooks SET last_delivery_at = NOW(), last_status = ? WHERE webhook_id = ?', [result.status, hook.webhook_id]); }
+        catch (error) { console.error('Webhook status update error:', error); }
+    }
+
+    async function deliver(hook, payload, attempt) {
+        const result = await post(hook, payload); await recordResult(hook, result);
+        if (result.ok) return;
+        if (attempt >= RETRY_DELAYS_MS.length) { console.error(`[Webhook] Gave up on ${payload.id} to ${hook.url}: ${result.status}`); return; }
+        setTimeout(() => deliver(hook, payload, attempt + 1), RETRY_DELAYS_MS[attempt]);
+    }
+
+    const buildPayload = (event, data) => ({ event, id: crypto.randomUUID(), occurred_at: format(new Date(), "yyyy-MM-dd'T'HH:mm:ssxxx"), data });
+
+    return {
+        dispatch: async (event, data) => {
+            try { (await getHooks()).filter(h => h.statuses.length === 0 || h.statuses.includes(data.status)).forEach(h => deliver(h, buildPayload(event, toScanEventData(data)), 0)); }
+            catch (error) { console.error('Webhook dispatch error:', error); }
+        },
+        // One delivery, no retries, so the admin page can show the outcome straight away
+        sendTest: async (webhookId) => {
+            const [rows] = await dbPool.query('SELECT webhook_id, url, secret FROM webhooks WHERE webhook_id = ?', [webhookId]); if (rows.length === 0) return null;
+            const result = await post(rows[0], buildPayload('ping', { message: 'Test delivery from the library attendance system.' })); await recordResult(rows[0], result);
+            return result;
+        },
+        reload: () => { hooks = null; }
+    };
+}
+
+module.exports = { SCAN_STATUSES, listWebhooks, createWebhook, createWebhookDispatcher };
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { commitPreview } = require('../services/bulk-import');
+const { createFakeDb } = require('./helpers/fake-db');
+
+// A users table behind the queries commitPreview makes
+function createUsersDb(initial) {
+    const users = new Map(initial.map(u => [u.user_id, { is_active: 1, ...u }]));
+    const db = createFakeDb([
+        [/FROM users WHERE user_id IN \(\?\) FOR UPDATE/, ([ids]) => ids.filter(id => users.has(id)).map(id => users.get(id))],
+        [/ON DUPLICATE KEY UPDATE/, ([values]) => {
+            let affectedRows = 0;
+            values.forEach(([user_id, user_type, user_name, year, program_id]) => { affectedRows += users.has(user_id) ? 2 : 1; users.set(user_id, { ...users.get(user_id), user_id, user_type, user_name, year, program_id, is_active: 1 }); });
+            return { affectedRows };
+        }],
+        [/user_id NOT IN \(\?\) FOR UPDATE/, ([userType, keep]) => [...users.values()].filter(u => u.user_type === userType && u.is_active && !keep.includes(u.user_id))],
+        [/UPDATE users SET is_active = 0/, ([ids]) => { ids.forEach(id => { users.get(id).is_active = 0; }); return { affectedRows: ids.length }; }],
+        [/^INSERT INTO users/, ([values]) => {
+            values.forEach(([user_id, user_type, user_name, year, program_id]) => {
+                if (users.has(user_id)) throw Object.assign(new Error(`Duplicate entry '${user_id}'`), { code: 'ER_DUP_ENTRY' });
+                users.set(user_id, { user_id, user_type, user_name, year, program_id, is_active: 1 });
+            });
+            return { affectedRows: values.length };
+        }]
+    ]);
+    return { db, users };
+}
+
+// The preview was built when S1 existed unchanged and S2, S3 did not exist
+function stalePreview() {
+    const row = (user_id, user_name, status) => ({ status, record: { user_id, user_name, year: '2', program_id: 1 }, changes: [] });
+    return { userType: 'student', rows: [row('S1', 'Asha', 'unchanged'), row('S2', 'Ravi', 'new'), row('S3', 'Meena', 'new'), { status: 'invalid', errors: ['year is empty'] }], counts: { new: 2, updated: 0, unchanged: 1, invalid: 1 } };
+}
+
+test('users created after the preview are skipped in insert mode instead of failing the import', async () => {
+    // Since the preview, S2 was added by hand and S3 was taken by a faculty member
+    const { db, users } = createUsersDb([{ user_id: 'S1', user_type: 'student', user_name: 'Asha', year: 2, program_id: 1 }, { user_id: 'S2', user_type: 'student', user_name: 'Ravi K', year: 2, program_id: 1 }, { user_id: 'S3', user_type: 'faculty', user_name: 'Dr Meena' }]);
+    const result = await commitPreview(db, stalePreview(), 'insert');
+    assert.deepStrictEqual({ inserted: result.inserted, updated: result.updated, skipped: result.skipped, conflicts: result.conflicts }, { inserted: 0, updated: 0, skipped: 1, conflicts: ['S3'] });
+    assert.strictEqual(users.get('S2').user_name, 'Ravi K');
+    assert.strictEqual(users.get('S3').user_type, 'faculty');
+});
+
+test('upsert updates rows created since the preview but never one of another user type', async () => {
+    const { db, users } = createUsersDb([{ user_id: 'S1', user_type: 'student', user_name: 'Asha', year: 2, program_id: 1 }, { user_id: 'S2', user_type: 'student', user_name: 'Ravi K', year: 2, program_id: 1 }, { user_id: 'S3', user_type: 'faculty', user_name: 'Dr Meena' }]);
+    const result = await commitPreview(db, stalePreview(), 'upsert');
+    assert.deepStrictEqual({ inserted: result.inserted, updated: result.updated, updatedIds: result.updatedIds, conflicts: result.conflicts }, { inserted: 0, updated: 1, updatedIds: ['S2'], conflicts: ['S3'] });
+    assert.deepStrictEqual(result.before, { S2: { user_name: 'Ravi K' } });
+    assert.strictEqual(users.get('S2').user_name, 'Ravi');
+    assert.strictEqual(users.get('S3').user_type, 'faculty');
+});
+
+test('counts come from the database writes', async () => {
+    const { db } = createUsersDb([{ user_id: 'S1', user_type: 'student', user_name: 'Asha', year: 2, program_id: 1 }]);
+    const result = await commitPreview(db, stalePreview(), 'upsert');
+    assert.deepStrictEqual({ inserted: result.inserted, updated: result.updated, insertedIds: result.insertedIds }, { inserted: 2, updated: 0, insertedIds: ['S2', 'S3'] });
+});
+
+test('deactivate mode keeps users whose rows were rejected', async () => {
+    // S2's row names a program that does not exist; S3 is not in the file at all
+    const { db, users } = createUsersDb([{ user_id: 'S1', user_type: 'student', user_name: 'Asha', year: 2, program_id: 1 }, { user_id: 'S2', user_type: 'student', user_name: 'Ravi', year: 2, program_id: 1 }, { user_id: 'S3', user_type: 'student', user_name: 'Meena', year: 3, program_id: 1 }]);
+    const preview = { userType: 'student', counts: { new: 0, updated: 0, unchanged: 1, invalid: 1 }, rows: [
+        { status: 'unchanged', values: { user_id: 'S1' }, record: { user_id: 'S1', user_name: 'Asha', year: '2', program_id: 1 }, changes: [] },
+        { status: 'invalid', values: { user_id: 'S2' }, errors: ['program BCA-XX does not exist'] }
+    ] };
+    const result = await commitPreview(db, preview, 'deactivate');
+    assert.deepStrictEqual(result.deactivatedIds, ['S3']);
+    assert.deepStrictEqual([...users.values()].map(u => [u.user_id, u.is_active]), [['S1', 1], ['S2', 1], ['S3', 0]]);
+});
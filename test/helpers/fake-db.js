@@ -0,0 +1,29 @@
+// Stand-in for a mysql2 pool: each route is [pattern, handler(params, sql)] and the first pattern matching the
+// SQL answers it. Handlers return what mysql2 would put first in its result: rows for a SELECT, or an
+// { insertId, affectedRows } result. Anything unmatched fails the test so new queries cannot slip by unnoticed.
+// getConnection() hands out connections on the same routes; pass the object the handlers change as `state`
+// and a rollback puts it back the way it was at beginTransaction.
+function createFakeDb(routes, state = null) {
+    const db = {
+        queries: [],
+        query: async (sql, params = []) => {
+            db.queries.push(sql);
+            const route = routes.find(([pattern]) => pattern.test(sql));
+            if (!route) throw new Error(`Unexpected query: ${sql}`);
+            return [await route[1](params, sql)];
+        },
+        getConnection: async () => {
+            let saved = null;
+            return {
+                query: db.query,
+                beginTransaction: async () => { db.queries.push('BEGIN'); saved = state && structuredClone(state); },
+                commit: async () => { db.queries.push('COMMIT'); saved = null; },
+                rollback: async () => { db.queries.push('ROLLBACK'); if (saved) Object.assign(state, saved); saved = null; },
+                release: () => {}
+            };
+        }
+    };
+    return db;
+}
+
+module.exports = { createFakeDb };
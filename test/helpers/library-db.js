@@ -0,0 +1,30 @@
+const { createFakeDb } = require('./fake-db');
+
+// Open all day so the result does not depend on when the test runs
+const OPEN_ALL_DAY = { is_closed: 0, open_time: '00:00:00', close_time: '23:59:59' };
+
+// The lookups and attendance writes every scan makes. One student with a permanent card (CARD1), one whose account
+// was deactivated (GONE1) and one visitor whose card has expired (VISIT1); every other UID is unknown. `hours` is
+// the library_hours row for every weekday. A test adds the routes only it needs in `routes` (matched first) and
+// their tables in `tables`; everything lives on `state`, so a rolled-back transaction puts it all back.
+function createLibraryDb({ hours = OPEN_ALL_DAY, routes = [], tables = {} } = {}) {
+    const state = {
+        cards: { CARD1: { user_id: 'S1', card_type: 'PERMANENT', expires_at: null }, GONE1: { user_id: 'S2', card_type: 'PERMANENT', expires_at: null }, VISIT1: { user_id: 'V1', card_type: 'VISITOR', expires_at: '2020-01-01 23:59:59' } },
+        users: { S1: { user_id: 'S1', user_type: 'student', user_name: 'Asha', year: 2, is_active: 1, degree: 'BCA', branch_code: 'CS' }, S2: { user_id: 'S2', user_type: 'student', user_name: 'Ravi', year: 3, is_active: 0 }, V1: { user_id: 'V1', user_type: 'faculty', user_name: 'Guest', is_active: 1 } },
+        visits: [],
+        ...tables
+    };
+    const db = createFakeDb([
+        ...routes,
+        [/FROM rfid_details WHERE uid = \?/, ([uid]) => state.cards[uid] ? [state.cards[uid]] : []],
+        [/FROM users u LEFT JOIN programs/, ([userId]) => state.users[userId] ? [state.users[userId]] : []],
+        [/SELECT log_id FROM attendance_log/, ([userId, date]) => state.visits.filter(v => v.user_id === userId && v.log_date === date && v.logout_time === null)],
+        [/INSERT INTO attendance_log/, ([userId, date, time, readerId]) => { state.visits.push({ log_id: state.visits.length + 1, user_id: userId, log_date: date, login_time: time, login_reader_id: readerId, logout_time: null }); return { insertId: state.visits.length, affectedRows: 1 }; }],
+        [/UPDATE attendance_log SET logout_time/, ([time, readerId, logId]) => { Object.assign(state.visits[logId - 1], { logout_time: time, logout_reader_id: readerId }); return { affectedRows: 1 }; }],
+        [/FROM library_hours WHERE weekday/, () => [hours]],
+        [/FROM library_calendar_exceptions/, () => []]
+    ], state);
+    return { db, state };
+}
+
+module.exports = { OPEN_ALL_DAY, createLibraryDb };
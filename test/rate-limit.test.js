@@ -0,0 +1,12 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRateLimiter } = require('../services/rate-limit');
+
+test('allows the limit per window and key, then reports the wait', () => {
+    const limiter = createRateLimiter({ limit: 2, windowMs: 1000 });
+    assert.strictEqual(limiter.take('a', 0), 0);
+    assert.strictEqual(limiter.take('a', 100), 0);
+    assert.strictEqual(limiter.take('a', 400), 600);
+    assert.strictEqual(limiter.take('b', 400), 0);
+    assert.strictEqual(limiter.take('a', 1000), 0); // a new window
+});
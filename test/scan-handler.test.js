@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const net = require('net');
+const path = require('path');
+const { createScanSourceManager } = require('../services/scan-sources');
+const { createScanJournal } = require('../services/scan-journal');
+const { createScanHandler } = require('../services/scan-handler');
+const { clearScheduleCache } = require('../services/library-calendar');
+const { OPEN_ALL_DAY, createLibraryDb } = require('./helpers/library-db');
+
+const DEBOUNCE_MS = 1000;
+
+function getFreePort() {
+    return new Promise((resolve) => { const probe = net.createServer().listen(0, '127.0.0.1', () => { const { port } = probe.address(); probe.close(() => resolve(port)); }); });
+}
+
+// Writes one line per UID to the virtual reader, the way a test harness or demo script would
+function sendUids(port, uids) {
+    return new Promise((resolve, reject) => { const socket = net.connect(port, '127.0.0.1', () => socket.end(uids.map(u => `${u}\n`).join(''), resolve)); socket.on('error', reject); });
+}
+
+async function setup(t, { mode = 'toggle', hours = OPEN_ALL_DAY } = {}) {
+    clearScheduleCache();
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scan-handler-'));
+    // On top of the shared fixture: one card reported lost (LOST1) and the anomaly queue
+    const anomalies = [];
+    const { db, state } = createLibraryDb({ hours, routes: [
+        [/FROM rfid_card_history WHERE uid = \? AND is_blocked = 1/, ([uid]) => uid === 'LOST1' ? [{ history_id: 1, user_id: 'S1', released_at: '2026-01-01 10:00' }] : []],
+        [/INSERT INTO scan_anomalies/, ([userId, uid, readerId, anomalyType]) => { anomalies.push({ user_id: userId, uid, reader_id: readerId, anomaly_type: anomalyType }); return { insertId: anomalies.length, affectedRows: 1 }; }]
+    ] });
+    const visits = state.visits;
+    const events = []; let waiting = null;
+    const emitScanEvent = (event) => { events.push(event); if (waiting && events.length >= waiting.count) waiting.resolve(); return event; };
+    const journal = createScanJournal(db, { dir, debounceMs: DEBOUNCE_MS, prepare: async () => {}, replay: async () => { throw new Error('no replay expected'); } });
+    const occupancy = { inside: new Set(), enter(details) { this.inside.add(details.user_id); }, leave(userId) { this.inside.delete(userId); } };
+    const scans = createScanHandler(db, { journal, occupancy, emitScanEvent, onLogin: () => {}, debounceMs: DEBOUNCE_MS });
+    const port = await getFreePort();
+    const sources = createScanSourceManager([{ id: 'sim', location: 'Virtual Reader', type: 'virtual', mode: mode, tcpPort: port }]);
+    sources.on('scan', (uid, reader) => scans.handleScan(uid, reader));
+    await new Promise((resolve) => { sources.on('status', (statuses) => { if (statuses[0].state === 'listening') resolve(); }); sources.start(); });
+    t.after(() => { sources.stop(); fs.rmSync(dir, { recursive: true, force: true }); });
+    // Resolves once `count` scan events have been emitted in total
+    const waitForEvents = (count) => events.length >= count ? Promise.resolve() : new Promise((resolve) => { waiting = { count, resolve }; });
+    return { port, events, visits, anomalies, occupancy, waitForEvents };
+}
+
+test('virtual reader scans log in, debounce, log out and reject unknown cards', async (t) => {
+    const { port, events, visits, occupancy, waitForEvents } = await setup(t);
+
+    await sendUids(port, ['CARD1']);
+    await waitForEvents(1);
+    await sendUids(port, ['CARD1']); // still inside the debounce window
+    await waitForEvents(2);
+    assert.deepStrictEqual(events.map(e => e.status), ['LOGIN', 'IGNORED']);
+    assert.strictEqual(events[0].details.user_id, 'S1');
+    assert.strictEqual(events[0].reader_id, 'sim');
+    assert.ok(occupancy.inside.has('S1'));
+
+    await new Promise((resolve) => setTimeout(resolve, DEBOUNCE_MS + 50));
+    await sendUids(port, ['CARD1']);
+    await waitForEvents(3);
+    await sendUids(port, ['NOPE']);
+    await waitForEvents(4);
+    assert.deepStrictEqual(events.map(e => e.status), ['LOGIN', 'IGNORED', 'LOGOUT', 'UNREGISTERED']);
+    assert.strictEqual(visits.length, 1);
+    assert.ok(visits[0].logout_time);
+    assert.ok(!occupancy.inside.has('S1'));
+});
+
+test('an exit reader never opens a visit and an entry reader never closes one', async (t) => {
+    const exit = await setup(t, { mode: 'exit' });
+    await sendUids(exit.port, ['CARD1']);
+    await exit.waitForEvents(1);
+    assert.deepStrictEqual(exit.events.map(e => [e.status, e.anomaly_type]), [['ANOMALY', 'EXIT_WITHOUT_ENTRY']]);
+    assert.deepStrictEqual(exit.anomalies.map(a => [a.user_id, a.reader_id]), [['S1', 'sim']]);
+    assert.strictEqual(exit.visits.length, 0);
+
+    const entry = await setup(t, { mode: 'entry' });
+    await sendUids(entry.port, ['CARD1']);
+    await entry.waitForEvents(1);
+    await new Promise((resolve) => setTimeout(resolve, DEBOUNCE_MS + 50));
+    await sendUids(entry.port, ['CARD1']);
+    await entry.waitForEvents(2);
+    assert.deepStrictEqual(entry.events.map(e => [e.status, e.anomaly_type]), [['LOGIN', undefined], ['ANOMALY', 'ENTRY_WHILE_INSIDE']]);
+    assert.strictEqual(entry.visits.length, 1);
+    assert.strictEqual(entry.visits[0].logout_time, null);
+});
+
+test('scans are refused while the library is closed', async (t) => {
+    const { port, events, visits, waitForEvents } = await setup(t, { hours: { is_closed: 1, open_time: '08:00:00', close_time: '19:00:00' } });
+    await sendUids(port, ['CARD1']);
+    await waitForEvents(1);
+    assert.strictEqual(events[0].status, 'CLOSED');
+    assert.match(events[0].message, /^Library is closed today \(Weekly hours/);
+    assert.strictEqual(visits.length, 0);
+});
+
+test('a deactivated user cannot start a visit', async (t) => {
+    const { port, events, visits, waitForEvents } = await setup(t);
+    await sendUids(port, ['GONE1']);
+    await waitForEvents(1);
+    assert.deepStrictEqual(events.map(e => [e.status, e.details.user_id]), [['INACTIVE', 'S2']]);
+    assert.strictEqual(visits.length, 0);
+});
+
+test('lost and expired cards are refused without opening a visit', async (t) => {
+    const { port, events, visits, waitForEvents } = await setup(t);
+
+    await sendUids(port, ['LOST1']);
+    await waitForEvents(1);
+    await sendUids(port, ['VISIT1']);
+    await waitForEvents(2);
+    assert.deepStrictEqual(events.map(e => e.status), ['BLOCKED', 'EXPIRED']);
+    assert.match(events[1].message, /Visitor card expired on 2020-01-01/);
+    assert.strictEqual(visits.length, 0);
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createScanJournal } = require('../services/scan-journal');
+const { createScanHandler } = require('../services/scan-handler');
+const { clearScheduleCache } = require('../services/library-calendar');
+const { createLibraryDb } = require('./helpers/library-db');
+
+const RETRY_MS = 10000;
+const connectionLost = () => Object.assign(new Error('Connection lost: The server closed the connection.'), { code: 'PROTOCOL_CONNECTION_LOST', fatal: true });
+
+// The shared library fixture plus scan_replays, whose first insert loses the connection, i.e. the server goes
+// away after the visit was written but before the replay was recorded.
+function createJournalDb() {
+    let failNextReplayInsert = true;
+    const { db, state } = createLibraryDb({ tables: { replays: [] }, routes: [
+        [/SELECT journal_id FROM scan_replays/, ([journalId]) => state.replays.filter(r => r.journal_id === journalId)],
+        [/INSERT INTO scan_replays/, ([journalId, uid, userId, readerId, location, scannedAt, bufferedAt, result, status]) => {
+            if (failNextReplayInsert) { failNextReplayInsert = false; throw connectionLost(); }
+            state.replays.push({ journal_id: journalId, result, status }); return { affectedRows: 1 };
+        }]
+    ] });
+    return { db, state };
+}
+
+// Resolves once the journal has finished a drain attempt
+const nextDrainEnd = (journal) => new Promise((resolve) => {
+    const onStatus = (status) => { if (!status.replaying) { journal.off('status', onStatus); resolve(status); } };
+    journal.on('status', onStatus);
+});
+
+test('a replay cut off before it was recorded is undone, so the retry logs the scan exactly once', async (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    clearScheduleCache();
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scan-journal-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const { db, state } = createJournalDb();
+    const scans = createScanHandler(db, { journal: null, occupancy: null, emitScanEvent: () => assert.fail('replays are announced by the journal'), onLogin: () => {}, debounceMs: 0 });
+    const journal = createScanJournal(db, { dir, debounceMs: 0, prepare: async () => {}, replay: (entry, connection) => scans.handleCardScan(entry.uid, entry.reader, new Date(entry.scanned_at), connection) });
+    const replayed = []; journal.on('replayed', (event) => replayed.push(event));
+
+    journal.append('CARD1', { id: 'sim', location: 'Desk', mode: 'toggle' }, new Date(), connectionLost());
+    let drainEnd = nextDrainEnd(journal); t.mock.timers.tick(RETRY_MS);
+    const afterFailure = await drainEnd;
+    assert.deepStrictEqual({ degraded: afterFailure.degraded, pending: afterFailure.pending }, { degraded: true, pending: 1 });
+    assert.deepStrictEqual(state.visits, [], 'the visit written before the failure was rolled back');
+    assert.deepStrictEqual(replayed, []);
+
+    drainEnd = nextDrainEnd(journal); t.mock.timers.tick(RETRY_MS);
+    const afterRetry = await drainEnd;
+    assert.deepStrictEqual({ degraded: afterRetry.degraded, pending: afterRetry.pending }, { degraded: false, pending: 0 });
+    assert.strictEqual(state.visits.length, 1);
+    assert.strictEqual(state.visits[0].logout_time, null, 'still a LOGIN, not toggled into a LOGOUT');
+    assert.deepStrictEqual(state.replays.map(r => [r.result, r.status]), [['REPLAYED', 'LOGIN']]);
+    assert.deepStrictEqual(replayed.map(e => [e.status, e.replayed]), [['LOGIN', true]]);
+});
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const { createSessionAuth } = require('../services/session-auth');
+const { createFakeDb } = require('./helpers/fake-db');
+
+// A /scan-journal page behind the real middleware, signed in as `user`; the page itself needs no database
+async function startApp(t, db, user) {
+    const { requirePermission } = createSessionAuth(db);
+    const app = express();
+    app.use((req, res, next) => { req.session = { user: { ...user }, destroy: (done) => done() }; next(); });
+    app.get('/scan-journal', requirePermission('anomalies'), (req, res) => res.send('journal'));
+    const server = await new Promise((resolve) => { const s = app.listen(0, '127.0.0.1', () => resolve(s)); });
+    t.after(() => server.close());
+    return (path) => fetch(`http://127.0.0.1:${server.address().port}${path}`, { redirect: 'manual' });
+}
+
+const refusingDb = () => createFakeDb([[/FROM credentials/, () => { throw Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' }); }]]);
+
+test('the scan journal stays reachable with the role in the session while the database is down', async (t) => {
+    const get = await startApp(t, refusingDb(), { username: 'desk', role: 'librarian', mustChangePassword: false });
+    const res = await get('/scan-journal');
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(await res.text(), 'journal');
+
+    const viewer = await startApp(t, refusingDb(), { username: 'guest', role: 'viewer', mustChangePassword: false });
+    assert.strictEqual((await viewer('/scan-journal')).status, 403);
+});
+
+test('other credential errors get an error page, and a found account is not read again within the check window', async (t) => {
+    const broken = await startApp(t, createFakeDb([[/FROM credentials/, () => { throw Object.assign(new Error('Unknown column'), { code: 'ER_BAD_FIELD_ERROR' }); }]]), { username: 'desk', role: 'librarian' });
+    assert.strictEqual((await broken('/scan-journal')).status, 500);
+
+    const db = createFakeDb([[/FROM credentials/, () => [{ role: 'librarian', is_active: 1, must_change_password: 0 }]]]);
+    const get = await startApp(t, db, { username: 'desk', role: 'viewer' });
+    assert.strictEqual((await get('/scan-journal')).status, 200); // the role comes from credentials, not the session
+    assert.strictEqual((await get('/scan-journal')).status, 200);
+    assert.strictEqual(db.queries.length, 1);
+});